@@ -4,9 +4,12 @@ const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));
 
 const PORT = process.env.PORT || 3000;
 
@@ -49,17 +52,617 @@ const pool = mysql.createPool({
   connectionLimit: 10,
 });
 
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// =========================
+// Schema (table ที่ API สร้างเองตอน start)
+// =========================
+const SCHEMA_SQL = [
+  `CREATE TABLE IF NOT EXISTS t_quiz_attempt_answer (
+    answer_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    attempt_id INT NOT NULL,
+    question_id INT NOT NULL,
+    answer TEXT NULL,
+    is_correct TINYINT(1) NOT NULL DEFAULT 0,
+    earned_score DECIMAL(10,2) NOT NULL DEFAULT 0,
+    max_score DECIMAL(10,2) NOT NULL DEFAULT 0,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (answer_id),
+    UNIQUE KEY uq_attempt_answer (attempt_id, question_id),
+    KEY idx_attempt_answer_question (question_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // ชุดคำถาม + ลำดับ choice ที่ attempt นั้นได้ (ใช้ตอนตรวจและ review)
+  `CREATE TABLE IF NOT EXISTS t_quiz_attempt_question (
+    attempt_id INT NOT NULL,
+    question_id INT NOT NULL,
+    position INT NOT NULL,
+    choice_order TEXT NULL,
+    PRIMARY KEY (attempt_id, question_id),
+    KEY idx_attempt_question_position (attempt_id, position)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // question bank: version เพิ่มทุกครั้งที่แก้เนื้อหา
+  `CREATE TABLE IF NOT EXISTS m_bank_question (
+    bank_question_id INT NOT NULL AUTO_INCREMENT,
+    subject_id INT NULL,
+    difficulty VARCHAR(10) NOT NULL DEFAULT 'medium',
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(30) NOT NULL,
+    choice_a TEXT NULL,
+    choice_b TEXT NULL,
+    choice_c TEXT NULL,
+    choice_d TEXT NULL,
+    true_label VARCHAR(255) NULL,
+    false_label VARCHAR(255) NULL,
+    correct_answer TEXT NOT NULL,
+    question_options TEXT NULL,
+    score DECIMAL(10,2) NULL,
+    version INT NOT NULL DEFAULT 1,
+    active_status TINYINT(1) NOT NULL DEFAULT 1,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (bank_question_id),
+    KEY idx_bank_question_subject (subject_id),
+    KEY idx_bank_question_difficulty (difficulty)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS t_bank_question_tag (
+    bank_question_id INT NOT NULL,
+    tag VARCHAR(64) NOT NULL,
+    PRIMARY KEY (bank_question_id, tag),
+    KEY idx_bank_question_tag (tag)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // rule ดึงคำถามจาก bank ตอนเริ่ม attempt (เงื่อนไขที่เป็น NULL = ไม่กรอง)
+  `CREATE TABLE IF NOT EXISTS t_quiz_bank_rule (
+    rule_id INT NOT NULL AUTO_INCREMENT,
+    quiz_id INT NOT NULL,
+    pick_count INT NOT NULL,
+    difficulty VARCHAR(10) NULL,
+    tag VARCHAR(64) NULL,
+    subject_id INT NULL,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rule_id),
+    KEY idx_quiz_bank_rule_quiz (quiz_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // review queue ต่อ user (SM-2)
+  `CREATE TABLE IF NOT EXISTS t_review_item (
+    review_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    question_id INT NOT NULL,
+    source_attempt_id INT NULL,
+    ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    due_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_reviewed_at DATETIME NULL,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id),
+    UNIQUE KEY uq_review_item (user_id, question_id),
+    KEY idx_review_item_due (user_id, due_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS t_review_log (
+    log_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    review_id BIGINT UNSIGNED NOT NULL,
+    user_id INT NOT NULL,
+    question_id INT NOT NULL,
+    answer TEXT NULL,
+    is_correct TINYINT(1) NOT NULL DEFAULT 0,
+    quality TINYINT NOT NULL,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (log_id),
+    KEY idx_review_log_user (user_id, created_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // รางวัลที่ให้ไปแล้ว (unique กันให้ซ้ำ เช่น ผ่าน quiz เดิมหลายรอบ)
+  `CREATE TABLE IF NOT EXISTS t_reward_event (
+    event_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    event_code VARCHAR(40) NOT NULL,
+    ref_id BIGINT NOT NULL,
+    exp INT NOT NULL DEFAULT 0,
+    point INT NOT NULL DEFAULT 0,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id),
+    UNIQUE KEY uq_reward_event (user_id, event_code, ref_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS m_reward_rule (
+    event_code VARCHAR(40) NOT NULL,
+    exp INT NOT NULL DEFAULT 0,
+    point INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (event_code)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS m_level (
+    level INT NOT NULL,
+    min_exp INT NOT NULL,
+    PRIMARY KEY (level)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // วันที่มีการเรียน (ตามเขตเวลาของ user) ใช้คำนวณ streak + ปฏิทิน
+  `CREATE TABLE IF NOT EXISTS t_user_activity_day (
+    user_id INT NOT NULL,
+    activity_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL,
+    activity_count INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, activity_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // rollup ของ leaderboard: period_key = YYYY-Www / YYYY-MM / all
+  `CREATE TABLE IF NOT EXISTS t_leaderboard_score (
+    scope_type VARCHAR(20) NOT NULL,
+    scope_id INT NOT NULL,
+    organization_id INT NULL,
+    period_type VARCHAR(10) NOT NULL,
+    period_key VARCHAR(10) NOT NULL,
+    user_id INT NOT NULL,
+    score INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope_type, scope_id, period_type, period_key, user_id),
+    KEY idx_leaderboard_rank (scope_type, scope_id, period_type, period_key, score),
+    KEY idx_leaderboard_org_rank (scope_type, scope_id, period_type, period_key, organization_id, score)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // ledger ของ point (append-only): amount บวก = ได้, ลบ = ใช้
+  `CREATE TABLE IF NOT EXISTS t_point_transaction (
+    transaction_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    amount INT NOT NULL,
+    balance_after INT NOT NULL,
+    reason VARCHAR(40) NOT NULL,
+    source_type VARCHAR(40) NULL,
+    source_id BIGINT NULL,
+    note VARCHAR(255) NULL,
+    created_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (transaction_id),
+    KEY idx_point_transaction_user (user_id, transaction_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS m_quest (
+    quest_id INT NOT NULL AUTO_INCREMENT,
+    quest_name VARCHAR(255) NOT NULL,
+    quest_description TEXT NULL,
+    period_type VARCHAR(10) NOT NULL,
+    goal_type VARCHAR(40) NOT NULL,
+    goal_value INT NOT NULL,
+    min_percent DECIMAL(5,2) NULL,
+    course_id INT NULL,
+    reward_exp INT NOT NULL DEFAULT 0,
+    reward_point INT NOT NULL DEFAULT 0,
+    start_date DATE NULL,
+    end_date DATE NULL,
+    sort_order INT NULL DEFAULT 0,
+    active_status TINYINT(1) NULL DEFAULT 1,
+    created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (quest_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // progress ต่อรอบ: period_key = YYYY-MM-DD (daily) / YYYY-Www (weekly) ตามเขตเวลาของ user
+  `CREATE TABLE IF NOT EXISTS t_user_quest (
+    user_quest_id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    quest_id INT NOT NULL,
+    period_key VARCHAR(10) NOT NULL,
+    progress INT NOT NULL DEFAULT 0,
+    completed_at DATETIME NULL,
+    PRIMARY KEY (user_quest_id),
+    UNIQUE KEY uq_user_quest (user_id, quest_id, period_key)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS m_mascot (
+    mascot_id INT NOT NULL AUTO_INCREMENT,
+    mascot_name VARCHAR(255) NOT NULL,
+    mascot_description TEXT NULL,
+    picture VARCHAR(500) NULL,
+    active_status TINYINT(1) NULL DEFAULT 1,
+    created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (mascot_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS t_mascot_mood (
+    mascot_id INT NOT NULL,
+    mood VARCHAR(20) NOT NULL,
+    picture VARCHAR(500) NOT NULL,
+    message VARCHAR(255) NULL,
+    PRIMARY KEY (mascot_id, mood)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // question_set = ชุดคำถาม + ลำดับ choice ที่สุ่มไว้ตอนท้า (ทั้งสองฝั่งได้ชุดเดียวกัน)
+  `CREATE TABLE IF NOT EXISTS t_quiz_duel (
+    duel_id INT NOT NULL AUTO_INCREMENT,
+    quiz_id INT NOT NULL,
+    organization_id INT NULL,
+    challenger_id INT NOT NULL,
+    opponent_id INT NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    question_set MEDIUMTEXT NOT NULL,
+    max_score DECIMAL(10,2) NOT NULL DEFAULT 0,
+    challenger_attempt_id INT NULL,
+    opponent_attempt_id INT NULL,
+    result VARCHAR(20) NULL,
+    winner_id INT NULL,
+    deadline_at DATETIME NOT NULL,
+    created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME NULL,
+    PRIMARY KEY (duel_id),
+    KEY idx_duel_challenger (challenger_id, status),
+    KEY idx_duel_opponent (opponent_id, status),
+    KEY idx_duel_deadline (status, deadline_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  // มอบหมาย course ให้ group หรือ user (อย่างใดอย่างหนึ่ง)
+  `CREATE TABLE IF NOT EXISTS t_course_assignment (
+    assignment_id INT NOT NULL AUTO_INCREMENT,
+    organization_id INT NULL,
+    course_id INT NOT NULL,
+    group_id INT NULL,
+    user_id INT NULL,
+    start_date DATE NULL,
+    due_date DATE NULL,
+    is_mandatory TINYINT(1) NOT NULL DEFAULT 1,
+    active_status TINYINT(1) NULL DEFAULT 1,
+    created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (assignment_id),
+    KEY idx_course_assignment_user (user_id),
+    KEY idx_course_assignment_group (group_id),
+    KEY idx_course_assignment_due (organization_id, due_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS m_badge (
+    badge_id INT NOT NULL AUTO_INCREMENT,
+    badge_name VARCHAR(255) NOT NULL,
+    badge_description TEXT NULL,
+    picture VARCHAR(500) NULL,
+    unlock_rule TEXT NOT NULL,
+    sort_order INT NULL DEFAULT 0,
+    active_status TINYINT(1) NULL DEFAULT 1,
+    created_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (badge_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS t_user_badge (
+    user_badge_id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    badge_id INT NOT NULL,
+    unlock_snapshot TEXT NULL,
+    earned_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_badge_id),
+    UNIQUE KEY uq_user_badge (user_id, badge_id),
+    KEY idx_user_badge_user (user_id, earned_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS t_user_subject_progress (
+    user_id INT NOT NULL,
+    subject_id INT NOT NULL,
+    course_id INT NOT NULL,
+    percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+    is_completed TINYINT(1) NOT NULL DEFAULT 0,
+    completed_at DATETIME NULL,
+    updated_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, subject_id),
+    KEY idx_user_subject_progress_course (course_id, user_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+];
+
+// column ที่เพิ่มให้ table เดิม: [table, column, definition]
+const SCHEMA_COLUMNS = [
+  ['t_quiz_question', 'question_options', 'TEXT NULL'],
+  ['m_quiz', 'shuffle_questions', 'TINYINT(1) NULL DEFAULT 0'],
+  ['m_quiz', 'shuffle_choices', 'TINYINT(1) NULL DEFAULT 0'],
+  ['m_quiz', 'draw_count', 'INT NULL'],
+  ['m_quiz', 'time_limit_seconds', 'INT NULL'],
+  ['m_quiz', 'late_policy', 'VARCHAR(20) NULL'],
+  ['t_quiz_attempt', 'deadline_at', 'DATETIME NULL'],
+  ['t_quiz_attempt', 'draft_answers', 'TEXT NULL'],
+  ['t_quiz_attempt', 'submit_type', 'VARCHAR(20) NULL'],
+  ['m_quiz', 'max_attempts', 'INT NULL'],
+  ['m_quiz', 'passing_score', 'DECIMAL(5,2) NULL'],
+  ['m_quiz', 'retake_cooldown_seconds', 'INT NULL'],
+  ['m_quiz', 'score_policy', 'VARCHAR(20) NULL'],
+  ['t_quiz_attempt', 'passed', 'TINYINT(1) NULL'],
+  ['t_quiz_question', 'bank_question_id', 'INT NULL'],
+  ['t_quiz_question', 'bank_rule_id', 'INT NULL'],
+  ['t_quiz_question', 'bank_version', 'INT NULL'],
+  ['t_quiz_attempt_question', 'question_snapshot', 'MEDIUMTEXT NULL'],
+  ['m_quiz', 'partial_credit', 'TINYINT(1) NULL DEFAULT 0'],
+  ['m_quiz', 'wrong_penalty', 'DECIMAL(10,2) NULL'],
+  ['m_quiz', 'score_floor_zero', 'TINYINT(1) NULL DEFAULT 0'],
+  ['t_quiz_question', 'partial_credit', 'TINYINT(1) NULL'],
+  ['t_quiz_question', 'wrong_penalty', 'DECIMAL(10,2) NULL'],
+  ['m_bank_question', 'partial_credit', 'TINYINT(1) NULL'],
+  ['m_bank_question', 'wrong_penalty', 'DECIMAL(10,2) NULL'],
+  ['t_quiz_attempt_answer', 'score_detail', 'TEXT NULL'],
+  ['t_quiz_question', 'difficulty', 'VARCHAR(10) NULL'],
+  ['m_quiz', 'adaptive_mode', 'TINYINT(1) NULL DEFAULT 0'],
+  ['m_quiz', 'adaptive_max_items', 'INT NULL'],
+  ['m_quiz', 'adaptive_min_items', 'INT NULL'],
+  ['m_quiz', 'adaptive_stop_se', 'DECIMAL(4,2) NULL'],
+  ['t_quiz_attempt', 'is_adaptive', 'TINYINT(1) NULL DEFAULT 0'],
+  ['t_quiz_attempt', 'ability_estimate', 'DECIMAL(6,3) NULL'],
+  ['t_quiz_attempt', 'ability_se', 'DECIMAL(6,3) NULL'],
+  ['t_user_stat', 'last_active_date', 'DATE NULL'],
+  ['t_user_stat', 'longest_streak', 'INT NOT NULL DEFAULT 0'],
+  ['t_user_stat', 'streak_freezes', 'INT NOT NULL DEFAULT 0'],
+  ['m_user', 'timezone', 'VARCHAR(64) NULL'],
+  ['m_organization', 'timezone', 'VARCHAR(64) NULL'],
+  ['t_reward_event', 'course_id', 'INT NULL'],
+  ['t_reward_event', 'activity_date', 'DATE NULL'],
+  ['t_quiz_attempt', 'duel_id', 'INT NULL'],
+  ['t_user_stat', 'duel_wins', 'INT NOT NULL DEFAULT 0'],
+  ['t_user_stat', 'duel_losses', 'INT NOT NULL DEFAULT 0'],
+  ['t_user_stat', 'duel_draws', 'INT NOT NULL DEFAULT 0'],
+  ['m_subject', 'completion_rule', 'VARCHAR(20) NULL'],
+  ['m_subject', 'completion_threshold', 'DECIMAL(5,2) NULL'],
+  ['m_course', 'completion_rule', 'VARCHAR(20) NULL'],
+  ['m_course', 'completion_threshold', 'DECIMAL(5,2) NULL'],
+  ['t_user_course_score', 'progress_percent', 'DECIMAL(5,2) NULL'],
+  ['t_user_course_score', 'is_completed', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ['t_user_course_score', 'completed_at', 'DATETIME NULL'],
+  ['t_user_course_score', 'updated_date', 'DATETIME NULL'],
+  ['t_quiz_question', 'bank_link_key', 'VARCHAR(40) NULL'],
+];
+
+// unique key ที่เพิ่มให้ table เดิม: [table, key, columns]
+const SCHEMA_UNIQUE_KEYS = [
+  ['t_quiz_question', 'uq_quiz_question_bank_link', '(quiz_id, bank_link_key)'],
+];
+
+async function ensureColumn(table, column, definition) {
+  const [rows] = await pool.execute(
+    `SELECT COLUMN_NAME
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+     LIMIT 1`,
+    [table, column]
+  );
+  if (!rows.length) await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+async function ensureUniqueKey(table, key, columns) {
+  const [rows] = await pool.execute(
+    `SELECT INDEX_NAME
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+     LIMIT 1`,
+    [table, key]
+  );
+  if (!rows.length) await pool.query(`ALTER TABLE ${table} ADD UNIQUE KEY ${key} ${columns}`);
+}
+
+// bank_link_key ของแถวที่สร้างก่อนมี unique key (แถวซ้ำได้ key เฉพาะแถวแรก)
+async function backfillBankLinkKeys() {
+  await pool.query(
+    `UPDATE t_quiz_question q
+     JOIN (
+       SELECT MIN(question_id) AS question_id
+       FROM t_quiz_question
+       WHERE bank_question_id IS NOT NULL
+       GROUP BY quiz_id, bank_question_id, bank_rule_id
+     ) f ON f.question_id = q.question_id
+     SET q.bank_link_key = CONCAT(q.bank_question_id, ':', COALESCE(q.bank_rule_id, 0))
+     WHERE q.bank_link_key IS NULL`
+  );
+}
+
+async function initDb() {
+  for (const sql of SCHEMA_SQL) await pool.query(sql);
+  for (const [table, column, definition] of SCHEMA_COLUMNS) await ensureColumn(table, column, definition);
+  await backfillBankLinkKeys();
+  await backfillOpeningBalances();
+  await backfillAssignmentOrganizations();
+  for (const [table, key, columns] of SCHEMA_UNIQUE_KEYS) await ensureUniqueKey(table, key, columns);
+}
+
+// =========================
+// Auth middleware (JWT access token + role permission)
+// =========================
+const ROLE_MODERATOR = 'moderator';
+const ROLE_ORGANIZATION = 'organization';
+const ROLE_USER = 'user';
+const ALL_ROLES = [ROLE_MODERATOR, ROLE_ORGANIZATION, ROLE_USER];
+
+// permission ต่อ router: read = GET/HEAD, write = POST/PUT/PATCH/DELETE
+// ถ้าต้องการแยกราย verb ให้ใส่ key เป็น method ตรงๆ เช่น { DELETE: [ROLE_MODERATOR] }
+const PERMISSIONS = {
+  '/organizations': { read: [ROLE_MODERATOR], write: [ROLE_MODERATOR] },
+  '/users': { read: [ROLE_MODERATOR, ROLE_ORGANIZATION], write: [ROLE_MODERATOR, ROLE_ORGANIZATION] },
+  '/moderators': { read: [ROLE_MODERATOR], write: [ROLE_MODERATOR] },
+  '/groups': { read: ALL_ROLES, write: [ROLE_MODERATOR, ROLE_ORGANIZATION] },
+  // สร้าง / อัปเดตที่ server เท่านั้น (ลบแถวจะทำให้ point ไม่ตรงกับ ledger)
+  '/user-stats': { read: ALL_ROLES, write: [] },
+  // คำนวณที่ server จากผล quiz เท่านั้น (ดู Progress)
+  '/user-course-scores': { read: ALL_ROLES, write: [] },
+  '/courses': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/subjects': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/quizzes': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  // มี correct_answer → ห้าม user/organization อ่านตรงๆ
+  '/quiz-questions': { read: [ROLE_MODERATOR], write: [ROLE_MODERATOR] },
+  '/quiz-attempts': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  // quiz taking flow (route เดี่ยว)
+  '/quizzes/:id/attempts': { write: [ROLE_USER] },
+  '/quiz-attempts/:id/submit': { write: [ROLE_USER] },
+  '/quiz-attempts/:id/review': { read: ALL_ROLES },
+  '/quiz-attempts/:id/answers': { write: [ROLE_USER] },
+  '/quiz-attempts/:id/resume': { read: [ROLE_USER] },
+  '/quizzes/:id/questions/import': { write: [ROLE_MODERATOR] },
+  '/quizzes/:id/questions/export': { read: [ROLE_MODERATOR] },
+  '/quizzes/qti/import': { write: [ROLE_MODERATOR] },
+  '/quizzes/:id/qti/export': { read: [ROLE_MODERATOR] },
+  '/question-bank': { read: [ROLE_MODERATOR], write: [ROLE_MODERATOR] },
+  '/quiz-bank-rules': { read: [ROLE_MODERATOR], write: [ROLE_MODERATOR] },
+  '/quizzes/:id/bank-items': { write: [ROLE_MODERATOR] },
+  '/quizzes/:id/item-analysis': { read: [ROLE_MODERATOR, ROLE_ORGANIZATION] },
+  '/quiz-attempts/:id/adaptive-answer': { write: [ROLE_USER] },
+  '/me/review': { read: [ROLE_USER], write: [ROLE_USER] },
+  '/reward-config': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/me/streak': { read: [ROLE_USER], write: [ROLE_USER] },
+  '/me/timezone': { write: [ROLE_USER] },
+  '/leaderboards': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/badges': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/users/:id/badges': { read: ALL_ROLES },
+  '/users/:id/points/history': { read: ALL_ROLES },
+  '/quests': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/me/quests': { read: [ROLE_USER] },
+  '/mascots': { read: ALL_ROLES, write: [ROLE_MODERATOR] },
+  '/duels': { read: ALL_ROLES, write: [ROLE_USER] },
+  '/users/:id/duel-record': { read: ALL_ROLES },
+  '/course-assignments': { read: [ROLE_MODERATOR, ROLE_ORGANIZATION], write: [ROLE_MODERATOR, ROLE_ORGANIZATION] },
+  '/me/courses': { read: [ROLE_USER] },
+  '/users/:id/progress': { read: ALL_ROLES },
+  '/courses/:id/progress': { read: ALL_ROLES },
+};
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+// ตรวจ access token แล้วแปะ req.auth = { role, subject_id, organization_id, group_id }
+function authenticate(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) return fail(res, 'Missing access token', 401);
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (e) {
+    return fail(res, 'Invalid or expired access token', 401);
+  }
+
+  const role = payload.role || payload.typ;
+  if (!ALL_ROLES.includes(role)) return fail(res, 'Invalid token role', 401);
+
+  const subjectId = Number(payload.sub);
+  req.auth = {
+    role,
+    subject_id: subjectId,
+    organization_id: role === ROLE_ORGANIZATION ? subjectId : (payload.organization_id ?? null),
+    group_id: payload.group_id ?? null,
+  };
+  return next();
+}
+
+function authorize(permission) {
+  return (req, res, next) => {
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+    const allowed = permission[req.method] || (isRead ? permission.read : permission.write) || [];
+
+    if (!req.auth) return fail(res, 'Missing access token', 401);
+    if (!allowed.includes(req.auth.role)) return fail(res, 'Forbidden', 403);
+    return next();
+  };
+}
+
+// ใช้ตอน mount router: app.use(path, protect(path), router)
+function protect(path) {
+  const permission = PERMISSIONS[path];
+  if (!permission) throw new Error(`No permission defined for ${path}`);
+  return [authenticate, authorize(permission)];
+}
+
+// =========================
+// Tenant scoping (organization_id มาจาก token เท่านั้น)
+// =========================
+// tenant config ของแต่ละ table:
+// - { column: 'organization_id' } → table มี organization_id ตรงๆ (m_group, m_user)
+// - { userColumn: 'user_id' }     → scope ผ่าน m_user.organization_id (t_user_stat, t_user_course_score)
+// - { userColumn: 'user_id', ownRows: true } → ROLE_USER เห็นเฉพาะแถวของตัวเอง (t_quiz_attempt)
+function isTenantScoped(req) {
+  return Boolean(req.auth) && req.auth.role !== ROLE_MODERATOR;
+}
+
+// คืน SQL ต่อท้าย WHERE (ขึ้นต้นด้วย AND) + params
+function tenantWhere(req, tenant) {
+  if (!tenant || !isTenantScoped(req)) return { sql: '', params: [] };
+
+  const orgId = req.auth.organization_id;
+  if (tenant.column) {
+    return { sql: ` AND ${tenant.column} = ?`, params: [orgId] };
+  }
+  if (tenant.ownRows && req.auth.role === ROLE_USER) {
+    return { sql: ` AND ${tenant.userColumn} = ?`, params: [req.auth.subject_id] };
+  }
+  return {
+    sql: ` AND ${tenant.userColumn} IN (SELECT user_id FROM m_user WHERE organization_id = ?)`,
+    params: [orgId],
+  };
+}
+
+async function isGroupInOrganization(groupId, orgId) {
+  const [rows] = await pool.execute(
+    `SELECT group_id FROM m_group WHERE group_id = ? AND organization_id = ? LIMIT 1`,
+    [groupId, orgId]
+  );
+  return rows.length > 0;
+}
+
+async function isUserInOrganization(userId, orgId) {
+  const [rows] = await pool.execute(
+    `SELECT user_id FROM m_user WHERE user_id = ? AND organization_id = ? LIMIT 1`,
+    [userId, orgId]
+  );
+  return rows.length > 0;
+}
+
+// user ที่ผู้เรียกดูข้อมูลรายคนได้ (ไม่มีสิทธิ์ = null)
+// moderator ทุกคน, organization เฉพาะใน org, user เฉพาะตัวเอง (allowPeers → เพื่อนใน org เดียวกันด้วย)
+async function findViewableUser(req, userId, { allowPeers = false } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT user_id, organization_id, group_id FROM m_user WHERE user_id = ? LIMIT 1`,
+    [userId]
+  );
+  const user = rows[0];
+  if (!user) return null;
+  if (req.auth.role === ROLE_MODERATOR) return user;
+  if (req.auth.role === ROLE_USER && req.auth.subject_id === Number(user.user_id)) return user;
+  if (req.auth.role === ROLE_USER && !allowPeers) return null;
+
+  const sameOrg = Boolean(req.auth.organization_id) && Number(user.organization_id) === Number(req.auth.organization_id);
+  return sameOrg ? user : null;
+}
+
+// บังคับ payload ให้อยู่ใน tenant ของ token (แก้ payload ในที่) → คืนข้อความ error หรือ null
+async function applyTenantToPayload(req, tenant, payload) {
+  if (!tenant || !isTenantScoped(req)) return null;
+
+  const orgId = req.auth.organization_id;
+  if (tenant.column) {
+    payload[tenant.column] = orgId;
+  }
+  if (tenant.userColumn && payload[tenant.userColumn] != null) {
+    if (!(await isUserInOrganization(payload[tenant.userColumn], orgId))) {
+      return `${tenant.userColumn} does not belong to your organization`;
+    }
+  }
+  if (payload.group_id != null) {
+    if (!(await isGroupInOrganization(payload.group_id, orgId))) {
+      return 'group_id does not belong to your organization';
+    }
+  }
+  return null;
+}
+
 // =========================
 // CRUD Factory (สำหรับ table ทั่วไป)
 // =========================
-function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
+// validate(row) → ข้อความ error หรือ null (แก้ค่าใน row ได้ เช่น JSON.stringify)
+// PATCH จะส่ง row ที่ merge กับของเดิมแล้ว
+// present(row, req) → row ที่ส่งออกตอน GET (ซ่อน field ตาม role), afterWrite(row) → เรียกหลัง create / update
+// derive(row, req) → { values } field ที่คำนวณจาก row (เขียนทับค่าที่ส่งมา) หรือ { error } (หลัง validate + tenant)
+function createCrudRouter({
+  table, pk, fields, requiredOnCreate = [], tenant = null, validate = null, present = null, afterWrite = null,
+  derive = null
+}) {
   const router = express.Router();
+  const show = (row, req) => (present ? present(row, req) : row);
 
   // List
   router.get('/', async (req, res, next) => {
     try {
-      const [rows] = await pool.execute(`SELECT * FROM ${table} ORDER BY ${pk} DESC`);
-      return ok(res, `Get ${table} successful`, rows);
+      const scope = tenantWhere(req, tenant);
+      const [rows] = await pool.execute(
+        `SELECT * FROM ${table} WHERE 1 = 1${scope.sql} ORDER BY ${pk} DESC`,
+        scope.params
+      );
+      return ok(res, `Get ${table} successful`, rows.map((r) => show(r, req)));
     } catch (e) { next(e); }
   });
 
@@ -67,9 +670,13 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
   router.get('/:id', async (req, res, next) => {
     try {
       if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400, null);
-      const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
+      const scope = tenantWhere(req, tenant);
+      const [rows] = await pool.execute(
+        `SELECT * FROM ${table} WHERE ${pk} = ?${scope.sql} LIMIT 1`,
+        [req.params.id, ...scope.params]
+      );
       if (!rows.length) return fail(res, 'Not found', 404, null);
-      return ok(res, `Get ${table} successful`, rows[0]);
+      return ok(res, `Get ${table} successful`, show(rows[0], req));
     } catch (e) { next(e); }
   });
 
@@ -84,6 +691,16 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
       );
       if (missing.length) return fail(res, `Missing required: ${missing.join(', ')}`, 400, null);
 
+      const invalid = validate ? validate(payload) : null;
+      if (invalid) return fail(res, invalid, 400, null);
+
+      const tenantError = await applyTenantToPayload(req, tenant, payload);
+      if (tenantError) return fail(res, tenantError, 403, null);
+
+      const derived = derive ? await derive(payload, req) : null;
+      if (derived?.error) return fail(res, derived.error, 400, null);
+      Object.assign(payload, derived?.values);
+
       const cols = Object.keys(payload);
       const vals = Object.values(payload);
       const qs = cols.map(() => '?').join(',');
@@ -94,6 +711,7 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
       );
 
       const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE ${pk} = ? LIMIT 1`, [result.insertId]);
+      if (afterWrite) await afterWrite(rows[0]);
       return ok(res, `Create ${table} successful`, rows[0], 201);
     } catch (e) { next(e); }
   });
@@ -107,14 +725,33 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
       for (const f of fields) if (f in req.body) patch[f] = req.body[f];
       if (!Object.keys(patch).length) return fail(res, 'No updatable fields', 400, null);
 
+      const scope = tenantWhere(req, tenant);
+      const [exist] = await pool.execute(
+        `SELECT * FROM ${table} WHERE ${pk} = ?${scope.sql} LIMIT 1`,
+        [req.params.id, ...scope.params]
+      );
+      if (!exist.length) return fail(res, 'Not found', 404, null);
+
+      if (validate) {
+        const merged = { ...exist[0], ...patch };
+        const invalid = validate(merged);
+        if (invalid) return fail(res, invalid, 400, null);
+        for (const k of Object.keys(patch)) patch[k] = merged[k];
+      }
+
+      const tenantError = await applyTenantToPayload(req, tenant, patch);
+      if (tenantError) return fail(res, tenantError, 403, null);
+
+      const derived = derive ? await derive({ ...exist[0], ...patch }, req) : null;
+      if (derived?.error) return fail(res, derived.error, 400, null);
+      Object.assign(patch, derived?.values);
+
       const sets = Object.keys(patch).map((k) => `${k} = ?`).join(', ');
       const vals = [...Object.values(patch), req.params.id];
 
-      const [exist] = await pool.execute(`SELECT ${pk} FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
-      if (!exist.length) return fail(res, 'Not found', 404, null);
-
       await pool.execute(`UPDATE ${table} SET ${sets} WHERE ${pk} = ?`, vals);
       const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
+      if (afterWrite) await afterWrite(rows[0]);
       return ok(res, `Update ${table} (PATCH) successful`, rows[0]);
     } catch (e) { next(e); }
   });
@@ -130,14 +767,29 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
       const missing = requiredOnCreate.filter((f) => payload[f] === null || payload[f] === '');
       if (missing.length) return fail(res, `PUT requires: ${missing.join(', ')}`, 400, null);
 
-      const sets = Object.keys(payload).map((k) => `${k} = ?`).join(', ');
-      const vals = [...Object.values(payload), req.params.id];
+      const invalid = validate ? validate(payload) : null;
+      if (invalid) return fail(res, invalid, 400, null);
 
-      const [exist] = await pool.execute(`SELECT ${pk} FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
+      const scope = tenantWhere(req, tenant);
+      const [exist] = await pool.execute(
+        `SELECT ${pk} FROM ${table} WHERE ${pk} = ?${scope.sql} LIMIT 1`,
+        [req.params.id, ...scope.params]
+      );
       if (!exist.length) return fail(res, 'Not found', 404, null);
 
+      const tenantError = await applyTenantToPayload(req, tenant, payload);
+      if (tenantError) return fail(res, tenantError, 403, null);
+
+      const derived = derive ? await derive(payload, req) : null;
+      if (derived?.error) return fail(res, derived.error, 400, null);
+      Object.assign(payload, derived?.values);
+
+      const sets = Object.keys(payload).map((k) => `${k} = ?`).join(', ');
+      const vals = [...Object.values(payload), req.params.id];
+
       await pool.execute(`UPDATE ${table} SET ${sets} WHERE ${pk} = ?`, vals);
       const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
+      if (afterWrite) await afterWrite(rows[0]);
       return ok(res, `Replace ${table} (PUT) successful`, rows[0]);
     } catch (e) { next(e); }
   });
@@ -147,7 +799,11 @@ function createCrudRouter({ table, pk, fields, requiredOnCreate = [] }) {
     try {
       if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400, null);
 
-      const [rows] = await pool.execute(`SELECT * FROM ${table} WHERE ${pk} = ? LIMIT 1`, [req.params.id]);
+      const scope = tenantWhere(req, tenant);
+      const [rows] = await pool.execute(
+        `SELECT * FROM ${table} WHERE ${pk} = ?${scope.sql} LIMIT 1`,
+        [req.params.id, ...scope.params]
+      );
       if (!rows.length) return fail(res, 'Not found', 404, null);
 
       await pool.execute(`DELETE FROM ${table} WHERE ${pk} = ?`, [req.params.id]);
@@ -180,7 +836,8 @@ organizationRouter.get('/', async (req, res, next) => {
         start_date,
         created_date,
         updated_date,
-        code
+        code,
+        timezone
        FROM m_organization
        ORDER BY organization_id DESC`
     );
@@ -210,7 +867,8 @@ organizationRouter.get('/:id', async (req, res, next) => {
         start_date,
         created_date,
         updated_date,
-        code
+        code,
+        timezone
        FROM m_organization
        WHERE organization_id = ?
        LIMIT 1`,
@@ -297,7 +955,8 @@ organizationRouter.post('/', async (req, res, next) => {
         start_date,
         created_date,
         updated_date,
-        code
+        code,
+        timezone
        FROM m_organization
        WHERE organization_id = ?
        LIMIT 1`,
@@ -335,9 +994,14 @@ organizationRouter.patch('/:id', async (req, res, next) => {
       'total_user',
       'end_date',
       'start_date',
-      'code'   // ✅ เพิ่มแล้ว
+      'code',   // ✅ เพิ่มแล้ว
+      'timezone'
     ];
 
+    if (req.body?.timezone !== undefined && req.body.timezone !== null && !isValidTimeZone(req.body.timezone)) {
+      return fail(res, 'Invalid timezone', 400);
+    }
+
     for (const k of allow) {
       if (k in (req.body || {})) {
 
@@ -388,7 +1052,8 @@ organizationRouter.patch('/:id', async (req, res, next) => {
         start_date,
         created_date,
         updated_date,
-        code
+        code,
+        timezone
        FROM m_organization
        WHERE organization_id = ?
        LIMIT 1`,
@@ -469,272 +1134,5329 @@ organizationRouter.put('/:id', async (req, res, next) => {
       ]
     );
 
-    const [rows] = await pool.execute(
-      `SELECT 
-        organization_id,
-        email,
-        name,
-        picture,
-        active_status,
-        total_user,
-        end_date,
-        start_date,
-        created_date,
-        updated_date,
-        code
-       FROM m_organization
-       WHERE organization_id = ?
-       LIMIT 1`,
-      [req.params.id]
-    );
+    const [rows] = await pool.execute(
+      `SELECT 
+        organization_id,
+        email,
+        name,
+        picture,
+        active_status,
+        total_user,
+        end_date,
+        start_date,
+        created_date,
+        updated_date,
+        code,
+        timezone
+       FROM m_organization
+       WHERE organization_id = ?
+       LIMIT 1`,
+      [req.params.id]
+    );
+
+    return ok(res, 'Replace m_organization (PUT) successful', rows[0]);
+
+  } catch (e) { next(e); }
+});
+
+// =========================
+// DELETE
+// =========================
+organizationRouter.delete('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) {
+      return fail(res, 'Invalid id format', 400);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT organization_id, email, name, code
+       FROM m_organization
+       WHERE organization_id = ?
+       LIMIT 1`,
+      [req.params.id]
+    );
+
+    if (!rows.length) return fail(res, 'Not found', 404);
+
+    await pool.execute(
+      `DELETE FROM m_organization
+       WHERE organization_id = ?`,
+      [req.params.id]
+    );
+
+    return ok(res, 'Delete m_organization successful', rows[0]);
+
+  } catch (e) { next(e); }
+});
+
+app.use('/organizations', protect('/organizations'), organizationRouter);
+
+
+// =========================
+// Custom CRUD: m_user (hash password + hide password)
+// =========================
+const userRouter = express.Router();
+const USER_TENANT = { column: 'organization_id' };
+
+userRouter.get('/', async (req, res, next) => {
+  try {
+    const scope = tenantWhere(req, USER_TENANT);
+    const [rows] = await pool.execute(
+      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, timezone, created_date, updated_date
+       FROM m_user
+       WHERE 1 = 1${scope.sql}
+       ORDER BY user_id DESC`,
+      scope.params
+    );
+    return ok(res, 'Get m_user successful', rows);
+  } catch (e) { next(e); }
+});
+
+userRouter.get('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const scope = tenantWhere(req, USER_TENANT);
+    const [rows] = await pool.execute(
+      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, timezone, created_date, updated_date
+       FROM m_user WHERE user_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!rows.length) return fail(res, 'Not found', 404);
+    return ok(res, 'Get m_user successful', rows[0]);
+  } catch (e) { next(e); }
+});
+
+userRouter.post('/', async (req, res, next) => {
+  try {
+    const {
+      email, license, password,
+      picture, active_status
+    } = req.body || {};
+    const tenantPayload = {
+      organization_id: req.body?.organization_id ?? null,
+      group_id: req.body?.group_id ?? null
+    };
+
+    if (!email) return fail(res, 'email is required', 400);
+    if (!password) return fail(res, 'password is required', 400);
+
+    const tenantError = await applyTenantToPayload(req, USER_TENANT, tenantPayload);
+    if (tenantError) return fail(res, tenantError, 403);
+    const { organization_id, group_id } = tenantPayload;
+
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const [result] = await pool.execute(
+      `INSERT INTO m_user (organization_id, group_id, email, license, password, picture, active_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        organization_id ?? null,
+        group_id ?? null,
+        email,
+        license ?? null,
+        hash,
+        picture ?? null,
+        active_status ?? 1
+      ]
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, timezone, created_date, updated_date
+       FROM m_user WHERE user_id = ? LIMIT 1`,
+      [result.insertId]
+    );
+
+    return ok(res, 'Create m_user successful', rows[0], 201);
+  } catch (e) {
+    if (e.code === 'ER_DUP_ENTRY') return fail(res, 'User email already exists', 409);
+    next(e);
+  }
+});
+
+userRouter.patch('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const body = { ...(req.body || {}) };
+    const allow = ['organization_id','group_id','email','license','password','picture','active_status','timezone'];
+    if (!allow.some((k) => k in body)) return fail(res, 'No updatable fields', 400);
+    if (body.timezone !== undefined && body.timezone !== null && !isValidTimeZone(body.timezone)) return fail(res, 'Invalid timezone', 400);
+
+    const scope = tenantWhere(req, USER_TENANT);
+    const [exist] = await pool.execute(
+      `SELECT user_id FROM m_user WHERE user_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!exist.length) return fail(res, 'Not found', 404);
+
+    const tenantError = await applyTenantToPayload(req, USER_TENANT, body);
+    if (tenantError) return fail(res, tenantError, 403);
+
+    const fields = [];
+    const values = [];
+
+    for (const k of allow) {
+      if (k in body) {
+        if (k === 'password') {
+          const hash = await bcrypt.hash(body.password, SALT_ROUNDS);
+          fields.push('password = ?'); values.push(hash);
+        } else {
+          fields.push(`${k} = ?`); values.push(body[k]);
+        }
+      }
+    }
+
+    values.push(req.params.id);
+    await pool.execute(`UPDATE m_user SET ${fields.join(', ')} WHERE user_id = ?`, values);
+
+    const [rows] = await pool.execute(
+      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, timezone, created_date, updated_date
+       FROM m_user WHERE user_id = ? LIMIT 1`,
+      [req.params.id]
+    );
+
+    return ok(res, 'Update m_user (PATCH) successful', rows[0]);
+  } catch (e) { next(e); }
+});
+
+userRouter.put('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const {
+      email, license, password,
+      picture, active_status
+    } = req.body || {};
+    const tenantPayload = {
+      organization_id: req.body?.organization_id ?? null,
+      group_id: req.body?.group_id ?? null
+    };
+
+    const missing = [];
+    if (!email) missing.push('email');
+    if (!password) missing.push('password');
+    if (missing.length) return fail(res, `PUT requires: ${missing.join(', ')}`, 400);
+
+    const scope = tenantWhere(req, USER_TENANT);
+    const [exist] = await pool.execute(
+      `SELECT user_id FROM m_user WHERE user_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!exist.length) return fail(res, 'Not found', 404);
+
+    const tenantError = await applyTenantToPayload(req, USER_TENANT, tenantPayload);
+    if (tenantError) return fail(res, tenantError, 403);
+    const { organization_id, group_id } = tenantPayload;
+
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    await pool.execute(
+      `UPDATE m_user
+       SET organization_id = ?, group_id = ?, email = ?, license = ?, password = ?, picture = ?, active_status = ?
+       WHERE user_id = ?`,
+      [
+        organization_id ?? null,
+        group_id ?? null,
+        email,
+        license ?? null,
+        hash,
+        picture ?? null,
+        active_status ?? 1,
+        req.params.id
+      ]
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, timezone, created_date, updated_date
+       FROM m_user WHERE user_id = ? LIMIT 1`,
+      [req.params.id]
+    );
+
+    return ok(res, 'Replace m_user (PUT) successful', rows[0]);
+  } catch (e) { next(e); }
+});
+
+userRouter.delete('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const scope = tenantWhere(req, USER_TENANT);
+    const [rows] = await pool.execute(
+      `SELECT user_id, email
+       FROM m_user WHERE user_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!rows.length) return fail(res, 'Not found', 404);
+
+    await pool.execute(`DELETE FROM m_user WHERE user_id = ?`, [req.params.id]);
+    return ok(res, 'Delete m_user successful', rows[0]);
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Question types (validate ตอนสร้าง + ตรวจคำตอบ แยกตาม question_type)
+// =========================
+// - multi_select : correct_answer = ["a","c"] (key ของ choice_a..choice_d), answer = ["a","c"]
+// - fill_blank   : correct_answer = "คำตอบหลัก", question_options = { accepted_answers: [...], case_sensitive }
+//                  answer = "ข้อความ"
+// - ordering     : correct_answer = ["ขั้น 1","ขั้น 2",...] (เรียงถูก), answer = array ตามลำดับที่ผู้เรียนเรียง
+// - matching     : correct_answer = { "ซ้าย": "ขวา", ... }, question_options = { distractors: [...] }
+//                  answer = { "ซ้าย": "ขวา", ... }
+// type อื่น (mcq / true_false เดิม) เทียบ correct_answer ตรงๆ แบบไม่สน case
+const QUESTION_TYPE_MCQ = 'mcq';
+const QUESTION_TYPE_TRUE_FALSE = 'true_false';
+const QUESTION_TYPE_MULTI_SELECT = 'multi_select';
+const QUESTION_TYPE_FILL_BLANK = 'fill_blank';
+const QUESTION_TYPE_ORDERING = 'ordering';
+const QUESTION_TYPE_MATCHING = 'matching';
+
+const CHOICE_KEYS = ['a', 'b', 'c', 'd'];
+
+// ระดับความยาก (ใช้กับ question bank และ adaptive quiz)
+const DIFFICULTY_EASY = 'easy';
+const DIFFICULTY_MEDIUM = 'medium';
+const DIFFICULTY_HARD = 'hard';
+const DIFFICULTY_LEVELS = [DIFFICULTY_EASY, DIFFICULTY_MEDIUM, DIFFICULTY_HARD];
+
+function normalizeAnswer(val) {
+  return String(val ?? '').trim().toLowerCase();
+}
+
+// ตัดช่องว่างหัวท้าย + ยุบช่องว่างซ้อน, ไม่สน case ถ้าไม่ได้ตั้ง case_sensitive
+function normalizeText(val, caseSensitive = false) {
+  const s = String(val ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? s : s.toLowerCase();
+}
+
+function parseJsonValue(val) {
+  if (typeof val !== 'string') return val;
+  try {
+    return JSON.parse(val);
+  } catch (e) {
+    return val;
+  }
+}
+
+// multi_select รับได้ทั้ง array, JSON string และ "a,c"
+function toChoiceList(val) {
+  const parsed = parseJsonValue(val);
+  const list = Array.isArray(parsed) ? parsed : String(parsed ?? '').split(',');
+  return [...new Set(list.map(normalizeAnswer).filter(Boolean))];
+}
+
+function readQuestionOptions(question) {
+  const options = parseJsonValue(question.question_options);
+  return options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+}
+
+function isNonEmptyString(val) {
+  return typeof val === 'string' && val.trim().length > 0;
+}
+
+function sortedCopy(list) {
+  return [...list].sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+// ลำดับคงที่ตาม seed (เช่น question_id) แต่ไม่ใช่ตามตัวอักษร
+function seededShuffle(list, seed) {
+  const key = (item) => crypto.createHash('sha256').update(`${seed}:${item}`).digest('hex');
+  return list
+    .map((item) => [key(item), item])
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([, item]) => item);
+}
+
+const QUESTION_TYPE_RULES = {
+  [QUESTION_TYPE_MULTI_SELECT]: {
+    validate(row) {
+      const available = CHOICE_KEYS.filter((k) => isNonEmptyString(row[`choice_${k}`]));
+      if (available.length < 2) return 'multi_select requires at least 2 choices';
+
+      const correct = toChoiceList(row.correct_answer);
+      if (!correct.length) return 'multi_select requires at least 1 correct choice';
+      const unknown = correct.filter((k) => !available.includes(k));
+      if (unknown.length) return `correct_answer has unknown choices: ${unknown.join(', ')}`;
+
+      row.correct_answer = JSON.stringify(correct);
+      return null;
+    },
+    isCorrect(question, answer) {
+      const correct = toChoiceList(question.correct_answer);
+      const given = toChoiceList(answer);
+      return given.length === correct.length && correct.every((k) => given.includes(k));
+    },
+    // เลือกผิด 1 ข้อหักล้างเลือกถูก 1 ข้อ (กันเลือกทุกข้อแล้วได้คะแนน)
+    partialCredit(question, answer) {
+      const correct = toChoiceList(question.correct_answer);
+      const given = toChoiceList(answer);
+      return {
+        correct: given.filter((k) => correct.includes(k)).length,
+        wrong: given.filter((k) => !correct.includes(k)).length,
+        total: correct.length
+      };
+    },
+    publicOptions() {
+      return null;
+    },
+  },
+
+  [QUESTION_TYPE_FILL_BLANK]: {
+    validate(row) {
+      if (!isNonEmptyString(row.correct_answer)) return 'fill_blank requires correct_answer text';
+
+      const options = readQuestionOptions(row);
+      const accepted = options.accepted_answers ?? [];
+      if (!Array.isArray(accepted) || !accepted.every(isNonEmptyString)) {
+        return 'question_options.accepted_answers must be an array of text';
+      }
+      return null;
+    },
+    isCorrect(question, answer) {
+      const options = readQuestionOptions(question);
+      const caseSensitive = Boolean(options.case_sensitive);
+      const accepted = [question.correct_answer, ...(options.accepted_answers ?? [])]
+        .map((a) => normalizeText(a, caseSensitive));
+      const given = normalizeText(answer, caseSensitive);
+      return given.length > 0 && accepted.includes(given);
+    },
+    publicOptions() {
+      return null;
+    },
+  },
+
+  [QUESTION_TYPE_ORDERING]: {
+    validate(row) {
+      const items = parseJsonValue(row.correct_answer);
+      if (!Array.isArray(items) || items.length < 2 || !items.every(isNonEmptyString)) {
+        return 'ordering requires correct_answer as an array of at least 2 items';
+      }
+      if (new Set(items.map((i) => normalizeText(i))).size !== items.length) {
+        return 'ordering items must be unique';
+      }
+
+      row.correct_answer = JSON.stringify(items);
+      return null;
+    },
+    isCorrect(question, answer) {
+      const correct = parseJsonValue(question.correct_answer);
+      const given = parseJsonValue(answer);
+      if (!Array.isArray(correct) || !Array.isArray(given) || given.length !== correct.length) return false;
+      return correct.every((item, i) => normalizeText(item) === normalizeText(given[i]));
+    },
+    // นับ item ที่อยู่ถูกตำแหน่ง
+    partialCredit(question, answer) {
+      const correct = parseJsonValue(question.correct_answer);
+      const given = parseJsonValue(answer);
+      if (!Array.isArray(correct)) return { correct: 0, wrong: 0, total: 0 };
+      const list = Array.isArray(given) ? given : [];
+      return {
+        correct: correct.filter((item, i) => normalizeText(item) === normalizeText(list[i])).length,
+        wrong: 0,
+        total: correct.length
+      };
+    },
+    // ไม่ส่งลำดับที่ถูกออกไป → ใช้ลำดับที่สุ่มไว้ของ attempt หรือ seeded shuffle
+    // (เรียงตามตัวอักษรจะเฉลยเมื่อคำตอบเรียงตามตัวอักษรอยู่แล้ว, บังเอิญตรงเฉลย → เลื่อนไป 1 ตำแหน่ง)
+    publicOptions(question, order) {
+      if (order) return { items: order };
+      const items = parseJsonValue(question.correct_answer);
+      if (!Array.isArray(items)) return { items: [] };
+      const shown = seededShuffle(items, question.question_id);
+      if (shown.every((item, i) => item === items[i])) shown.push(shown.shift());
+      return { items: shown };
+    },
+    optionList(question) {
+      const items = parseJsonValue(question.correct_answer);
+      return Array.isArray(items) ? items : [];
+    },
+  },
+
+  [QUESTION_TYPE_MATCHING]: {
+    validate(row) {
+      const pairs = parseJsonValue(row.correct_answer);
+      if (!pairs || typeof pairs !== 'object' || Array.isArray(pairs)) {
+        return 'matching requires correct_answer as an object of { left: right } pairs';
+      }
+      const entries = Object.entries(pairs);
+      if (entries.length < 2) return 'matching requires at least 2 pairs';
+      if (!entries.every(([l, r]) => isNonEmptyString(l) && isNonEmptyString(r))) {
+        return 'matching pairs must be non-empty text';
+      }
+
+      const options = readQuestionOptions(row);
+      const distractors = options.distractors ?? [];
+      if (!Array.isArray(distractors) || !distractors.every(isNonEmptyString)) {
+        return 'question_options.distractors must be an array of text';
+      }
+
+      row.correct_answer = JSON.stringify(pairs);
+      return null;
+    },
+    isCorrect(question, answer) {
+      const pairs = parseJsonValue(question.correct_answer);
+      const given = parseJsonValue(answer);
+      if (!pairs || typeof pairs !== 'object' || !given || typeof given !== 'object') return false;
+      return Object.entries(pairs).every(([l, r]) => normalizeText(given[l]) === normalizeText(r));
+    },
+    // นับคู่ที่จับถูก
+    partialCredit(question, answer) {
+      const pairs = parseJsonValue(question.correct_answer);
+      const given = parseJsonValue(answer);
+      if (!pairs || typeof pairs !== 'object') return { correct: 0, wrong: 0, total: 0 };
+      const map = given && typeof given === 'object' ? given : {};
+      const entries = Object.entries(pairs);
+      return {
+        correct: entries.filter(([l, r]) => normalizeText(map[l]) === normalizeText(r)).length,
+        wrong: 0,
+        total: entries.length
+      };
+    },
+    publicOptions(question, order) {
+      const pairs = parseJsonValue(question.correct_answer) || {};
+      return {
+        left: Object.keys(pairs),
+        right: order || sortedCopy(this.optionList(question)),
+      };
+    },
+    optionList(question) {
+      const pairs = parseJsonValue(question.correct_answer) || {};
+      const { distractors = [] } = readQuestionOptions(question);
+      return [...Object.values(pairs), ...distractors];
+    },
+  },
+};
+
+// type เดิมที่เทียบ correct_answer ตรงๆ (ใช้ DEFAULT_QUESTION_RULE)
+const LEGACY_QUESTION_TYPES = [QUESTION_TYPE_MCQ, QUESTION_TYPE_TRUE_FALSE];
+const QUESTION_TYPES = [...LEGACY_QUESTION_TYPES, ...Object.keys(QUESTION_TYPE_RULES)];
+
+const DEFAULT_QUESTION_RULE = {
+  // type สะกดผิด / ไม่รู้จักจะถูกตรวจแบบเทียบ string → ไม่รับตั้งแต่ตอนสร้าง
+  validate(row) {
+    if (!LEGACY_QUESTION_TYPES.includes(row.question_type)) {
+      return `question_type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+    return null;
+  },
+  isCorrect(question, answer) {
+    return normalizeAnswer(answer) === normalizeAnswer(question.correct_answer);
+  },
+  publicOptions() {
+    return null;
+  },
+};
+
+function questionRule(question) {
+  return QUESTION_TYPE_RULES[question.question_type] || DEFAULT_QUESTION_RULE;
+}
+
+// ค่า flag รับ true/false/0/1 → เก็บเป็น 0/1
+function toFlag(val) {
+  if (val === true || val === 1 || val === '1' || val === 'true') return 1;
+  if (val === false || val === 0 || val === '0' || val === 'false') return 0;
+  return null;
+}
+
+// partial_credit / wrong_penalty ใช้ทั้งระดับ quiz และคำถาม (คำถามเป็น NULL = ใช้ค่าของ quiz)
+function validateScoringFields(row) {
+  if (row.partial_credit !== undefined && row.partial_credit !== null) {
+    const flag = toFlag(row.partial_credit);
+    if (flag === null) return 'partial_credit must be 0 or 1';
+    row.partial_credit = flag;
+  }
+  if (row.wrong_penalty !== undefined && row.wrong_penalty !== null) {
+    const n = Number(row.wrong_penalty);
+    if (!Number.isFinite(n) || n < 0) return 'wrong_penalty must be a non-negative number';
+  }
+  return null;
+}
+
+// ใช้เป็น validate ของ createCrudRouter('/quiz-questions')
+function validateQuestion(row) {
+  const scoringError = validateScoringFields(row);
+  if (scoringError) return scoringError;
+  if (row.difficulty !== undefined && row.difficulty !== null && !DIFFICULTY_LEVELS.includes(row.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+  }
+  if (row.question_options !== undefined && row.question_options !== null) {
+    const options = parseJsonValue(row.question_options);
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return 'question_options must be a JSON object';
+    }
+    row.question_options = JSON.stringify(options);
+  }
+  if (row.correct_answer !== null && typeof row.correct_answer === 'object') {
+    row.correct_answer = JSON.stringify(row.correct_answer);
+  }
+  return questionRule(row).validate(row);
+}
+
+// correct_answer สำหรับแสดงผล (type ที่เก็บเป็น JSON จะ parse กลับ)
+function readCorrectAnswer(question) {
+  const jsonTypes = [QUESTION_TYPE_MULTI_SELECT, QUESTION_TYPE_ORDERING, QUESTION_TYPE_MATCHING];
+  return jsonTypes.includes(question.question_type)
+    ? parseJsonValue(question.correct_answer)
+    : question.correct_answer;
+}
+
+// =========================
+// Randomization (สุ่มลำดับคำถาม / choice / ดึงคำถามจาก pool ต่อ attempt)
+// =========================
+function shuffleList(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function availableChoiceKeys(question) {
+  return CHOICE_KEYS.filter((k) => isNonEmptyString(question[`choice_${k}`]));
+}
+
+// คำถามที่ตอบด้วย key ของ choice_a..choice_d
+function isChoiceQuestion(question) {
+  const nonChoiceTypes = [QUESTION_TYPE_FILL_BLANK, QUESTION_TYPE_ORDERING, QUESTION_TYPE_MATCHING];
+  return !nonChoiceTypes.includes(question.question_type) && availableChoiceKeys(question).length >= 2;
+}
+
+// choice question → ['c','a','b'] (ตำแหน่งที่แสดง a,b,c → key เดิม)
+// ordering / matching → ลำดับ item ที่แสดง
+function buildChoiceOrder(question) {
+  if (isChoiceQuestion(question)) return shuffleList(availableChoiceKeys(question));
+
+  const rule = questionRule(question);
+  if (rule.optionList) return shuffleList(rule.optionList(question));
+  return null;
+}
+
+// key ที่ผู้เรียนเห็น → key เดิมของคำถาม
+function toOriginalChoiceAnswer(question, answer, choiceOrder) {
+  if (!choiceOrder || !isChoiceQuestion(question)) return answer;
+
+  const mapKey = (key) => {
+    const idx = CHOICE_KEYS.indexOf(normalizeAnswer(key));
+    return idx >= 0 && choiceOrder[idx] ? choiceOrder[idx] : key;
+  };
+  if (question.question_type === QUESTION_TYPE_MULTI_SELECT) return toChoiceList(answer).map(mapKey);
+  return mapKey(answer);
+}
+
+// key เดิมของคำถาม → key ที่ผู้เรียนเห็น (ใช้แสดงเฉลยตอน review)
+function toDisplayedChoiceAnswer(question, correctAnswer, choiceOrder) {
+  if (!choiceOrder || !isChoiceQuestion(question)) return correctAnswer;
+
+  const mapKey = (key) => {
+    const idx = choiceOrder.indexOf(normalizeAnswer(key));
+    return idx >= 0 ? CHOICE_KEYS[idx] : key;
+  };
+  if (Array.isArray(correctAnswer)) return correctAnswer.map(mapKey).sort();
+  return mapKey(correctAnswer);
+}
+
+function validateQuizSettings(row) {
+  if (row.draw_count !== undefined && row.draw_count !== null && !isPositiveInt(row.draw_count)) {
+    return 'draw_count must be a positive integer';
+  }
+  if (row.time_limit_seconds !== undefined && row.time_limit_seconds !== null && !isPositiveInt(row.time_limit_seconds)) {
+    return 'time_limit_seconds must be a positive integer';
+  }
+  if (row.late_policy !== undefined && row.late_policy !== null && !LATE_POLICIES.includes(row.late_policy)) {
+    return `late_policy must be one of: ${LATE_POLICIES.join(', ')}`;
+  }
+  if (row.max_attempts !== undefined && row.max_attempts !== null && !isPositiveInt(row.max_attempts)) {
+    return 'max_attempts must be a positive integer';
+  }
+  if (row.passing_score !== undefined && row.passing_score !== null) {
+    const n = Number(row.passing_score);
+    if (!Number.isFinite(n) || n < 0 || n > 100) return 'passing_score must be a percentage between 0 and 100';
+  }
+  if (row.retake_cooldown_seconds !== undefined && row.retake_cooldown_seconds !== null) {
+    const n = Number(row.retake_cooldown_seconds);
+    if (!Number.isInteger(n) || n < 0) return 'retake_cooldown_seconds must be a non-negative integer';
+  }
+  if (row.score_policy !== undefined && row.score_policy !== null && !SCORE_POLICIES.includes(row.score_policy)) {
+    return `score_policy must be one of: ${SCORE_POLICIES.join(', ')}`;
+  }
+  if (row.score_floor_zero !== undefined && row.score_floor_zero !== null) {
+    const flag = toFlag(row.score_floor_zero);
+    if (flag === null) return 'score_floor_zero must be 0 or 1';
+    row.score_floor_zero = flag;
+  }
+  return validateScoringFields(row) || validateAdaptiveSettings(row);
+}
+
+// เลือกคำถามของ attempt ตาม setting ของ quiz → [{ question, choice_order }]
+// extra = คำถามที่ได้จาก bank rule (ไม่นับรวมใน draw_count)
+function pickAttemptQuestions(quiz, questions, extra = []) {
+  let picked = questions;
+
+  const drawCount = Number(quiz.draw_count);
+  if (isPositiveInt(drawCount) && drawCount < questions.length) {
+    const drawn = new Set(shuffleList(questions).slice(0, drawCount));
+    picked = questions.filter((q) => drawn.has(q));
+  }
+  picked = [...picked, ...extra];
+  if (quiz.shuffle_questions) picked = shuffleList(picked);
+
+  return picked.map((question) => ({
+    question,
+    choice_order: quiz.shuffle_choices ? buildChoiceOrder(question) : null
+  }));
+}
+
+// =========================
+// Quiz taking (เริ่มทำ quiz + ส่งคำตอบ + ตรวจที่ server + review)
+// ต้องประกาศก่อน mount CRUD ของ /quizzes และ /quiz-attempts
+// =========================
+const ATTEMPT_IN_PROGRESS = 'in_progress';
+const ATTEMPT_SUBMITTED = 'submitted';
+
+// submit_type: ส่งเอง / ระบบปิดให้ตอนหมดเวลา / ส่งเกินเวลาแต่ quiz ยอมให้ตรวจ
+const SUBMIT_MANUAL = 'manual';
+const SUBMIT_AUTO = 'auto';
+const SUBMIT_LATE = 'late';
+
+// late_policy ของ m_quiz: reject = ไม่รับคำตอบที่ส่งเกินเวลา (ตรวจจากคำตอบที่บันทึกไว้), grade = ตรวจให้ตามที่ส่งมา
+const LATE_POLICY_REJECT = 'reject';
+const LATE_POLICY_GRADE = 'grade';
+const LATE_POLICIES = [LATE_POLICY_REJECT, LATE_POLICY_GRADE];
+
+// เผื่อ latency ของ network ตอนส่งใกล้หมดเวลา
+const ATTEMPT_GRACE_SECONDS = Number(process.env.QUIZ_GRACE_SECONDS || 5);
+
+// score_policy ของ m_quiz: ใช้คะแนนครั้งไหนเป็นผลของ quiz
+const SCORE_POLICY_BEST = 'best';
+const SCORE_POLICY_LATEST = 'latest';
+const SCORE_POLICY_AVERAGE = 'average';
+const SCORE_POLICIES = [SCORE_POLICY_BEST, SCORE_POLICY_LATEST, SCORE_POLICY_AVERAGE];
+const EXPIRED_SWEEP_MS = 60 * 1000;
+
+// field ที่ส่งให้ผู้ทำ quiz ได้ (ไม่มี correct_answer)
+const PUBLIC_QUESTION_FIELDS = [
+  'question_id',
+  'quiz_id',
+  'question_text',
+  'question_type',
+  'choice_a', 'choice_b', 'choice_c', 'choice_d',
+  'true_label', 'false_label',
+  'score',
+  'sort_order'
+];
+
+// choiceOrder = ลำดับที่สุ่มไว้ของ attempt (ถ้ามี)
+function toPublicQuestion(question, choiceOrder = null) {
+  const out = {};
+  for (const f of PUBLIC_QUESTION_FIELDS) out[f] = question[f] ?? null;
+
+  if (choiceOrder && isChoiceQuestion(question)) {
+    CHOICE_KEYS.forEach((k, i) => {
+      out[`choice_${k}`] = choiceOrder[i] ? question[`choice_${choiceOrder[i]}`] : null;
+    });
+    out.options = questionRule(question).publicOptions(question);
+  } else {
+    out.options = questionRule(question).publicOptions(question, choiceOrder);
+  }
+  return out;
+}
+
+function questionPoints(question) {
+  const n = Number(question.score);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+// ค่าของคำถามมาก่อน ถ้าคำถามไม่ได้ตั้ง (NULL) ใช้ค่าของ quiz
+function scoringSettings(question, quiz = null) {
+  const pick = (field) => question[field] ?? quiz?.[field] ?? null;
+  const penalty = Number(pick('wrong_penalty'));
+  return {
+    partialCredit: toFlag(pick('partial_credit')) === 1,
+    wrongPenalty: Number.isFinite(penalty) && penalty > 0 ? penalty : 0
+  };
+}
+
+function roundScore(val) {
+  return Math.round(val * 100) / 100;
+}
+
+// detail = วิธีคิดคะแนนของข้อนั้น (แสดงใน review)
+// ตอบผิดทั้งข้อ (ได้ 0) ถึงโดนหัก wrong_penalty, ไม่ตอบไม่โดนหัก
+function gradeQuestion(question, answer, choiceOrder = null, quiz = null) {
+  const points = questionPoints(question);
+  const answered = answer !== undefined && answer !== null && answer !== ''
+    && !(Array.isArray(answer) && !answer.length);
+  const rule = questionRule(question);
+  const original = toOriginalChoiceAnswer(question, answer, choiceOrder);
+  const isCorrect = answered && rule.isCorrect(question, original);
+  const settings = scoringSettings(question, quiz);
+
+  const detail = { method: 'all_or_nothing', points, answered, credit: isCorrect ? points : 0, penalty: 0 };
+  if (answered && !isCorrect && settings.partialCredit && rule.partialCredit) {
+    const parts = rule.partialCredit(question, original);
+    const ratio = parts.total ? Math.max(0, parts.correct - parts.wrong) / parts.total : 0;
+    Object.assign(detail, {
+      method: 'partial',
+      correct_parts: parts.correct,
+      wrong_parts: parts.wrong,
+      total_parts: parts.total,
+      credit: roundScore(points * ratio)
+    });
+  }
+  if (answered && !detail.credit && settings.wrongPenalty) detail.penalty = settings.wrongPenalty;
+
+  const earned = roundScore(detail.credit - detail.penalty);
+  return { is_correct: isCorrect, earned, points, detail: { ...detail, earned } };
+}
+
+// รับได้ทั้ง [{ question_id, answer }] และ { [question_id]: answer }
+function parseSubmittedAnswers(answers) {
+  const map = new Map();
+  if (Array.isArray(answers)) {
+    for (const a of answers) {
+      if (a && isPositiveInt(a.question_id)) map.set(Number(a.question_id), a.answer);
+    }
+  } else if (answers && typeof answers === 'object') {
+    for (const [k, v] of Object.entries(answers)) {
+      if (isPositiveInt(k)) map.set(Number(k), v);
+    }
+  }
+  return map;
+}
+
+// ไม่รวมแถวที่ดึงมาจาก bank rule (สุ่มใหม่ทุก attempt ผ่าน drawBankRuleQuestions)
+async function getQuizQuestions(quizId) {
+  const [rows] = await pool.execute(
+    `SELECT *
+     FROM t_quiz_question
+     WHERE quiz_id = ? AND (active_status IS NULL OR active_status <> 0) AND bank_rule_id IS NULL
+     ORDER BY sort_order ASC, question_id ASC`,
+    [quizId]
+  );
+  return rows;
+}
+
+// คำถามของ attempt ตามลำดับที่ได้ตอนเริ่ม (attempt เก่าที่ไม่มี mapping → ใช้คำถามปัจจุบันของ quiz)
+async function getAttemptQuestions(attempt) {
+  const [rows] = await pool.execute(
+    `SELECT q.*, aq.question_id AS attempt_question_id, aq.choice_order, aq.question_snapshot
+     FROM t_quiz_attempt_question aq
+     LEFT JOIN t_quiz_question q ON q.question_id = aq.question_id
+     WHERE aq.attempt_id = ?
+     ORDER BY aq.position ASC`,
+    [attempt.attempt_id]
+  );
+  if (!rows.length) return getQuizQuestions(attempt.quiz_id);
+
+  return rows.map(readAttemptQuestion);
+}
+
+// snapshot ตอนเริ่ม attempt มาก่อนข้อมูลปัจจุบัน (แก้คำถาม/bank ทีหลังไม่กระทบ attempt เดิม)
+function readAttemptQuestion(row) {
+  const { attempt_question_id, question_snapshot, choice_order, ...current } = row;
+  const snapshot = parseJsonValue(question_snapshot);
+  return {
+    ...current,
+    ...(snapshot && typeof snapshot === 'object' ? snapshot : {}),
+    question_id: attempt_question_id,
+    choice_order: parseJsonValue(choice_order)
+  };
+}
+
+// เวลาคิดจากนาฬิกาของ DB ทั้งหมด (NOW()) กัน clock ของ app server เพี้ยน
+const ATTEMPT_SELECT = `SELECT *, TIMESTAMPDIFF(SECOND, NOW(), deadline_at) AS remaining_seconds
+  FROM t_quiz_attempt`;
+
+async function getAttemptById(attemptId) {
+  const [rows] = await pool.execute(`${ATTEMPT_SELECT} WHERE attempt_id = ? LIMIT 1`, [attemptId]);
+  return rows[0] || null;
+}
+
+function isAttemptExpired(attempt) {
+  return attempt.remaining_seconds !== null
+    && attempt.remaining_seconds !== undefined
+    && Number(attempt.remaining_seconds) < -ATTEMPT_GRACE_SECONDS;
+}
+
+function readDraftAnswers(attempt) {
+  return parseSubmittedAnswers(parseJsonValue(attempt.draft_answers));
+}
+
+async function getQuizById(quizId) {
+  const [rows] = await pool.execute(`SELECT * FROM m_quiz WHERE quiz_id = ? LIMIT 1`, [quizId]);
+  return rows[0] || null;
+}
+
+function scorePercent(score, maxScore) {
+  const max = Number(maxScore);
+  if (!max) return 0;
+  return Math.round((Number(score) / max) * 10000) / 100;
+}
+
+function isPassingPercent(quiz, percent) {
+  if (quiz.passing_score === null || quiz.passing_score === undefined) return null;
+  return percent >= Number(quiz.passing_score);
+}
+
+// ตรวจกติกาก่อนเริ่ม attempt ใหม่ (เรียกใน transaction ที่ lock user ไว้แล้ว) → null หรือ { message, code, data }
+async function checkRetakePolicy(conn, quiz, userId) {
+  const [open] = await conn.execute(
+    `SELECT attempt_id
+     FROM t_quiz_attempt
+     WHERE user_id = ? AND quiz_id = ? AND status = ?
+       AND (deadline_at IS NULL OR deadline_at >= DATE_SUB(NOW(), INTERVAL ? SECOND))
+     LIMIT 1`,
+    [userId, quiz.quiz_id, ATTEMPT_IN_PROGRESS, ATTEMPT_GRACE_SECONDS]
+  );
+  if (open.length) {
+    return { message: 'Attempt already in progress', code: 409, data: { attempt_id: open[0].attempt_id } };
+  }
+
+  // นับ attempt ของ duel ด้วย (เห็นคำถาม + เฉลยแล้ว) แม้จะไม่นับเป็นคะแนนของ quiz
+  const [[stat]] = await conn.execute(
+    `SELECT COUNT(*) AS attempt_count,
+            TIMESTAMPDIFF(SECOND, MAX(submitted_at), NOW()) AS seconds_since_last
+     FROM t_quiz_attempt
+     WHERE user_id = ? AND quiz_id = ?`,
+    [userId, quiz.quiz_id]
+  );
+
+  if (isPositiveInt(quiz.max_attempts) && Number(stat.attempt_count) >= Number(quiz.max_attempts)) {
+    return {
+      message: 'Attempt limit reached',
+      code: 403,
+      data: { max_attempts: quiz.max_attempts, attempts_used: Number(stat.attempt_count) }
+    };
+  }
+
+  const cooldown = Number(quiz.retake_cooldown_seconds || 0);
+  if (cooldown > 0 && stat.seconds_since_last !== null && Number(stat.seconds_since_last) < cooldown) {
+    return {
+      message: 'Retake cooldown active',
+      code: 429,
+      data: { retry_after_seconds: cooldown - Number(stat.seconds_since_last) }
+    };
+  }
+  return null;
+}
+
+// percent ของ attempt ที่ submit แล้ว (เก่า → ใหม่) → percent ที่นับตาม score_policy (ยังไม่มี = null)
+function countedPercent(quiz, percents) {
+  if (!percents.length) return null;
+  const policy = quiz.score_policy || SCORE_POLICY_BEST;
+  if (policy === SCORE_POLICY_LATEST) return percents[percents.length - 1];
+  if (policy === SCORE_POLICY_AVERAGE) {
+    return Math.round((percents.reduce((a, b) => a + b, 0) / percents.length) * 100) / 100;
+  }
+  return Math.max(...percents);
+}
+
+// ผลรวมของ quiz ต่อ user ตาม score_policy + passing_score
+// attempt ของ duel ไม่นับเป็นคะแนน แต่นับใน attempts_used (เห็นคำถามแล้ว เหมือน checkRetakePolicy)
+async function getQuizResult(quiz, userId) {
+  const [rows] = await pool.execute(
+    `SELECT attempt_id, status, score, max_score, submitted_at, duel_id
+     FROM t_quiz_attempt
+     WHERE user_id = ? AND quiz_id = ?
+     ORDER BY attempt_id ASC`,
+    [userId, quiz.quiz_id]
+  );
+
+  const percents = rows
+    .filter((r) => r.status === ATTEMPT_SUBMITTED && r.duel_id === null)
+    .map((r) => scorePercent(r.score, r.max_score));
+
+  const policy = quiz.score_policy || SCORE_POLICY_BEST;
+  const counted = countedPercent(quiz, percents);
+
+  const maxAttempts = isPositiveInt(quiz.max_attempts) ? Number(quiz.max_attempts) : null;
+  return {
+    quiz_id: quiz.quiz_id,
+    score_policy: policy,
+    counted_percent: counted,
+    passing_score: quiz.passing_score === null ? null : Number(quiz.passing_score),
+    passed: counted === null ? false : isPassingPercent(quiz, counted),
+    attempts_used: rows.length,
+    max_attempts: maxAttempts,
+    attempts_remaining: maxAttempts === null ? null : Math.max(0, maxAttempts - rows.length)
+  };
+}
+
+// ตรวจคำตอบ + ปิด attempt (ใช้ทั้งตอนผู้เรียนส่งเองและตอนหมดเวลา)
+// คืน null ถ้า attempt ถูกปิดไปก่อนแล้ว
+async function finalizeAttempt(attempt, answers, submitType) {
+  const questions = await getAttemptQuestions(attempt);
+  const quiz = await getQuizById(attempt.quiz_id);
+
+  let score = 0;
+  let maxScore = 0;
+  let correctCount = 0;
+  let answeredCount = 0;
+  const answerRows = [];
+  const missedIds = [];
+  for (const q of questions) {
+    const answer = answers.get(q.question_id);
+    const graded = gradeQuestion(q, answer, q.choice_order, quiz);
+    score += graded.earned;
+    maxScore += graded.points;
+    if (graded.is_correct) correctCount++;
+    else missedIds.push(q.question_id);
+    if (graded.detail.answered) answeredCount++;
+    answerRows.push([
+      attempt.attempt_id,
+      q.question_id,
+      JSON.stringify(answer ?? null),
+      graded.is_correct ? 1 : 0,
+      graded.earned,
+      graded.points,
+      JSON.stringify(graded.detail)
+    ]);
+  }
+  score = roundScore(score);
+  if (quiz && toFlag(quiz.score_floor_zero) === 1 && score < 0) score = 0;
+  const ability = attempt.is_adaptive ? estimateAbility(adaptiveResponses(questions, answers, quiz)) : null;
+
+  const percent = scorePercent(score, maxScore);
+  const passed = quiz ? isPassingPercent(quiz, percent) : null;
+
+  const submitted = await withTransaction(async (conn) => {
+    // lock duel ก่อน attempt ตามลำดับเดียวกับ settleDuel กัน deadlock เมื่อสองฝั่งส่งพร้อมกัน
+    if (attempt.duel_id) {
+      await conn.execute(`SELECT duel_id FROM t_quiz_duel WHERE duel_id = ? FOR UPDATE`, [attempt.duel_id]);
+    }
+    // guard status ใน WHERE กันส่งซ้ำพร้อมกัน
+    // auto-submit ใช้เวลาหมดเขตเป็น submitted_at
+    const [result] = await conn.execute(
+      `UPDATE t_quiz_attempt
+       SET score = ?, max_score = ?, status = ?, submit_type = ?, passed = ?, draft_answers = NULL,
+           ability_estimate = ?, ability_se = ?,
+           submitted_at = IF(? = ?, LEAST(NOW(), deadline_at), NOW())
+       WHERE attempt_id = ? AND status = ?`,
+      [
+        score, maxScore, ATTEMPT_SUBMITTED, submitType,
+        passed === null ? null : (passed ? 1 : 0),
+        ability?.theta ?? null, ability?.se ?? null,
+        submitType, SUBMIT_AUTO,
+        attempt.attempt_id, ATTEMPT_IN_PROGRESS
+      ]
+    );
+    if (!result.affectedRows) return false;
+
+    if (answerRows.length) {
+      await conn.query(
+        `INSERT INTO t_quiz_attempt_answer
+         (attempt_id, question_id, answer, is_correct, earned_score, max_score, score_detail)
+         VALUES ?`,
+        [answerRows]
+      );
+      await queueMissedQuestions(conn, attempt.user_id, missedIds, attempt.attempt_id);
+    }
+    // ระบบปิดให้ตอนหมดเวลาไม่นับเป็นวันเรียน
+    const streak = submitType === SUBMIT_AUTO ? null : await recordLearningActivity(conn, attempt.user_id);
+    const courseId = quiz ? await getQuizCourseId(conn, quiz.quiz_id) : null;
+    const progress = await syncCourseProgress(conn, attempt.user_id, courseId);
+    // attempt ของ duel ได้รางวัลผ่าน settleDuel เท่านั้น (ไม่นับรางวัล / quest ของ quiz)
+    const rewards = attempt.duel_id
+      ? await awardEvents(conn, attempt.user_id, [])
+      : await awardQuizEvents(conn, attempt, quiz, { score, maxScore, passed, courseId, progress });
+    // quest นับเฉพาะที่ส่งเอง + ตอบอย่างน้อย 1 ข้อ (กันหมดเวลา / ส่งเปล่าวนเพื่อทำ quest)
+    const countsForQuests = submitType !== SUBMIT_AUTO && answeredCount > 0;
+    const quests = attempt.duel_id
+      ? { completed: [], rewards: null }
+      : await advanceQuests(conn, attempt.user_id, {
+        course_id: courseId,
+        quiz: countsForQuests ? { percent, passed } : null,
+        exp: countsForQuests ? rewards.exp_gained : 0
+      });
+    const settled = attempt.duel_id ? await settleDuel(conn, attempt.duel_id) : null;
+    const badges = [...(settled?.badges[attempt.user_id] || []), ...await checkBadges(conn, attempt.user_id)];
+    return { rewards, streak, quests, duel: settled?.duel ?? null, badges, progress };
+  });
+  if (!submitted) return null;
+
+  const finalized = await getAttemptById(attempt.attempt_id);
+  const highlight = Boolean(
+    submitted.rewards.leveled_up || submitted.quests.completed.length || submitted.badges.length
+    || (submitted.duel && Number(submitted.duel.winner_id) === Number(attempt.user_id))
+  );
+  return {
+    attempt: finalized,
+    correct_count: correctCount,
+    question_count: questions.length,
+    percent,
+    passed,
+    rewards: submitted.rewards,
+    streak: submitted.streak,
+    quests: submitted.quests,
+    duel: submitted.duel,
+    badges: submitted.badges,
+    course_progress: submitted.progress ? toProgressSummary(submitted.progress) : null,
+    mascot: await attemptMascot(finalized, highlight)
+  };
+}
+
+// ปิด attempt ที่หมดเวลาแล้วแต่ยังไม่ถูกส่ง (ตรวจจากคำตอบที่บันทึกไว้)
+async function closeExpiredAttempts() {
+  const [rows] = await pool.execute(
+    `${ATTEMPT_SELECT}
+     WHERE status = ? AND deadline_at IS NOT NULL
+       AND deadline_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+     LIMIT 100`,
+    [ATTEMPT_IN_PROGRESS, ATTEMPT_GRACE_SECONDS]
+  );
+  for (const attempt of rows) {
+    await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+  }
+  return rows.length;
+}
+
+// user เห็นเฉพาะ attempt ของตัวเอง, organization เห็นของ user ใน org, moderator เห็นทั้งหมด
+function attemptOwnerWhere(req) {
+  if (req.auth.role === ROLE_USER) return { sql: ' AND user_id = ?', params: [req.auth.subject_id] };
+  return tenantWhere(req, { userColumn: 'user_id' });
+}
+
+function parseStoredAnswer(val) {
+  if (val === null || val === undefined) return null;
+  try {
+    return JSON.parse(val);
+  } catch (e) {
+    return val;
+  }
+}
+
+// สุ่มชุดคำถามของ attempt ใหม่ → [{ question, choice_order }] หรือ null ถ้า quiz ไม่มีคำถาม
+// adaptive เริ่มจากข้อที่ใกล้ระดับกลาง แล้วเพิ่มทีละข้อผ่าน /adaptive-answer (ไม่ใช้ bank rule)
+// ต้องเรียกใน transaction ของการเริ่ม attempt / duel (แถว link ของ bank rule ย้อนกลับได้ถ้าเริ่มไม่สำเร็จ)
+async function drawQuizQuestions(conn, quiz) {
+  if (toFlag(quiz.adaptive_mode) === 1) {
+    const first = pickAdaptiveQuestion(await getQuizQuestions(quiz.quiz_id), new Set(), 0);
+    if (!first) return null;
+    return [{ question: first, choice_order: quiz.shuffle_choices ? buildChoiceOrder(first) : null }];
+  }
+
+  const questions = await getQuizQuestions(quiz.quiz_id);
+  const ruleQuestions = await drawBankRuleQuestions(
+    conn,
+    quiz.quiz_id,
+    questions.map((q) => q.bank_question_id).filter(Boolean)
+  );
+  if (!questions.length && !ruleQuestions.length) return null;
+  return pickAttemptQuestions(quiz, questions, ruleQuestions);
+}
+
+// สร้าง attempt จากชุดคำถามที่สุ่มไว้แล้ว (เรียกใน transaction) → attempt_id
+// duel = { duel_id, deadline_at } → เวลาทำไม่เกินหมดเขตของ duel
+async function insertAttempt(conn, userId, quiz, picked, duel = null) {
+  const maxScore = picked.reduce((sum, p) => sum + questionPoints(p.question), 0);
+  const timeLimit = isPositiveInt(quiz.time_limit_seconds) ? Number(quiz.time_limit_seconds) : null;
+  const deadlineSql = duel
+    ? 'LEAST(COALESCE(DATE_ADD(NOW(), INTERVAL ? SECOND), ?), ?)'
+    : 'IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? SECOND))';
+  const deadlineParams = duel ? [timeLimit, duel.deadline_at, duel.deadline_at] : [timeLimit, timeLimit];
+
+  const [result] = await conn.execute(
+    `INSERT INTO t_quiz_attempt
+     (user_id, quiz_id, score, max_score, status, started_at, deadline_at, is_adaptive, duel_id)
+     VALUES (?, ?, 0, ?, ?, NOW(), ${deadlineSql}, ?, ?)`,
+    [
+      userId, quiz.quiz_id, maxScore, ATTEMPT_IN_PROGRESS,
+      ...deadlineParams,
+      toFlag(quiz.adaptive_mode) === 1 ? 1 : 0,
+      duel ? duel.duel_id : null
+    ]
+  );
+
+  await conn.query(
+    `INSERT INTO t_quiz_attempt_question (attempt_id, question_id, position, choice_order, question_snapshot)
+     VALUES ?`,
+    [picked.map((p, i) => [
+      result.insertId,
+      p.question.question_id,
+      i + 1,
+      p.choice_order ? JSON.stringify(p.choice_order) : null,
+      JSON.stringify(p.question)
+    ])]
+  );
+  return result.insertId;
+}
+
+// Start attempt
+app.post('/quizzes/:id/attempts', protect('/quizzes/:id/attempts'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const quiz = await getQuizById(req.params.id);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+    if (quiz.active_status === 0) return fail(res, 'Quiz inactive', 403);
+
+    const started = await withTransaction(async (conn) => {
+      // lock แถว user กันเริ่มพร้อมกันหลายครั้งจนเกิน max_attempts
+      await conn.execute(`SELECT user_id FROM m_user WHERE user_id = ? FOR UPDATE`, [req.auth.subject_id]);
+
+      const blocked = await checkRetakePolicy(conn, quiz, req.auth.subject_id);
+      if (blocked) return { blocked };
+
+      const picked = await drawQuizQuestions(conn, quiz);
+      if (!picked) return { picked: null };
+      return { picked, attemptId: await insertAttempt(conn, req.auth.subject_id, quiz, picked) };
+    });
+    if (started.blocked) return fail(res, started.blocked.message, started.blocked.code, started.blocked.data);
+    if (!started.picked) return fail(res, 'Quiz has no questions', 400);
+
+    return ok(res, 'Start quiz attempt successful', {
+      attempt: await getAttemptById(started.attemptId),
+      questions: started.picked.map((p) => toPublicQuestion(p.question, p.choice_order))
+    }, 201);
+  } catch (e) { next(e); }
+});
+
+// Save answers ระหว่างทำ (ใช้ตอนหมดเวลา + resume)
+app.put('/quiz-attempts/:id/answers', protect('/quiz-attempts/:id/answers'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const [attempts] = await pool.execute(
+      `${ATTEMPT_SELECT} WHERE attempt_id = ? AND user_id = ? LIMIT 1`,
+      [req.params.id, req.auth.subject_id]
+    );
+    if (!attempts.length) return fail(res, 'Attempt not found', 404);
+
+    const attempt = attempts[0];
+    if (attempt.status !== ATTEMPT_IN_PROGRESS) return fail(res, 'Attempt already submitted', 409);
+    if (attempt.is_adaptive) return fail(res, 'Adaptive attempts are answered one question at a time', 409);
+    if (isAttemptExpired(attempt)) {
+      const closed = await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+      return fail(res, 'Time limit exceeded', 409, closed);
+    }
+
+    const draft = readDraftAnswers(attempt);
+    for (const [questionId, answer] of parseSubmittedAnswers(req.body?.answers)) {
+      draft.set(questionId, answer);
+    }
+
+    await pool.execute(
+      `UPDATE t_quiz_attempt SET draft_answers = ? WHERE attempt_id = ? AND status = ?`,
+      [JSON.stringify(Object.fromEntries(draft)), attempt.attempt_id, ATTEMPT_IN_PROGRESS]
+    );
+
+    return ok(res, 'Save quiz answers successful', {
+      attempt_id: attempt.attempt_id,
+      saved_count: draft.size,
+      remaining_seconds: attempt.remaining_seconds
+    });
+  } catch (e) { next(e); }
+});
+
+// Resume attempt (คำถามชุดเดิม + คำตอบที่บันทึกไว้ + เวลาที่เหลือ)
+app.get('/quiz-attempts/:id/resume', protect('/quiz-attempts/:id/resume'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const [attempts] = await pool.execute(
+      `${ATTEMPT_SELECT} WHERE attempt_id = ? AND user_id = ? LIMIT 1`,
+      [req.params.id, req.auth.subject_id]
+    );
+    if (!attempts.length) return fail(res, 'Attempt not found', 404);
+
+    const attempt = attempts[0];
+    if (attempt.status !== ATTEMPT_IN_PROGRESS) return fail(res, 'Attempt already submitted', 409);
+    if (isAttemptExpired(attempt)) {
+      const closed = await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+      return fail(res, 'Time limit exceeded', 409, closed);
+    }
+
+    const questions = await getAttemptQuestions(attempt);
+    const { draft_answers, ...attemptOut } = attempt;
+
+    return ok(res, 'Resume quiz attempt successful', {
+      attempt: attemptOut,
+      questions: questions.map((q) => toPublicQuestion(q, q.choice_order)),
+      answers: Object.fromEntries(readDraftAnswers(attempt)),
+      remaining_seconds: attempt.remaining_seconds === null ? null : Math.max(0, Number(attempt.remaining_seconds))
+    });
+  } catch (e) { next(e); }
+});
+
+// Submit attempt
+app.post('/quiz-attempts/:id/submit', protect('/quiz-attempts/:id/submit'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const [attempts] = await pool.execute(
+      `${ATTEMPT_SELECT} WHERE attempt_id = ? AND user_id = ? LIMIT 1`,
+      [req.params.id, req.auth.subject_id]
+    );
+    if (!attempts.length) return fail(res, 'Attempt not found', 404);
+
+    const attempt = attempts[0];
+    if (attempt.status !== ATTEMPT_IN_PROGRESS) return fail(res, 'Attempt already submitted', 409);
+    // adaptive จบเองที่ /adaptive-answer เมื่อถึงเงื่อนไขหยุด (หมดเวลา → ปิดด้วยคำตอบที่มี)
+    if (attempt.is_adaptive) {
+      if (isAttemptExpired(attempt)) {
+        const closed = await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+        return fail(res, 'Time limit exceeded', 409, closed);
+      }
+      return fail(res, 'Adaptive attempts finish automatically when the stop rule is met', 409);
+    }
+
+    // คำตอบที่ส่งมาทับคำตอบที่บันทึกไว้ระหว่างทำ
+    const answers = readDraftAnswers(attempt);
+    for (const [questionId, answer] of parseSubmittedAnswers(req.body?.answers)) {
+      answers.set(questionId, answer);
+    }
+
+    let submitType = SUBMIT_MANUAL;
+    if (isAttemptExpired(attempt)) {
+      const [quizzes] = await pool.execute(
+        `SELECT late_policy FROM m_quiz WHERE quiz_id = ? LIMIT 1`,
+        [attempt.quiz_id]
+      );
+      const latePolicy = quizzes[0]?.late_policy || LATE_POLICY_REJECT;
+
+      if (latePolicy === LATE_POLICY_REJECT) {
+        const closed = await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+        return fail(res, 'Time limit exceeded', 409, closed);
+      }
+      submitType = SUBMIT_LATE;
+    }
+
+    const result = await finalizeAttempt(attempt, answers, submitType);
+    if (!result) return fail(res, 'Attempt already submitted', 409);
+
+    const quiz = await getQuizById(attempt.quiz_id);
+    result.quiz_result = quiz ? await getQuizResult(quiz, req.auth.subject_id) : null;
+
+    return ok(res, 'Submit quiz attempt successful', result);
+  } catch (e) { next(e); }
+});
+
+// Review attempt (ดูได้หลัง submit เท่านั้น)
+app.get('/quiz-attempts/:id/review', protect('/quiz-attempts/:id/review'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const scope = attemptOwnerWhere(req);
+    const [attempts] = await pool.execute(
+      `SELECT * FROM t_quiz_attempt WHERE attempt_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!attempts.length) return fail(res, 'Attempt not found', 404);
+
+    const attempt = attempts[0];
+    if (attempt.status !== ATTEMPT_SUBMITTED) return fail(res, 'Attempt not submitted yet', 409);
+
+    const [rows] = await pool.execute(
+      `SELECT q.*, a.question_id AS attempt_question_id, a.answer, a.is_correct, a.earned_score,
+              a.max_score AS question_max_score, a.score_detail, aq.choice_order, aq.question_snapshot
+       FROM t_quiz_attempt_answer a
+       LEFT JOIN t_quiz_question q ON q.question_id = a.question_id
+       LEFT JOIN t_quiz_attempt_question aq
+         ON aq.attempt_id = a.attempt_id AND aq.question_id = a.question_id
+       WHERE a.attempt_id = ?
+       ORDER BY aq.position ASC, q.sort_order ASC, a.question_id ASC`,
+      [attempt.attempt_id]
+    );
+
+    // แสดงคำถาม version และลำดับ choice ที่ผู้เรียนเห็นจริงใน attempt นั้น
+    const items = rows.map(readAttemptQuestion).map((r) => {
+      const choiceOrder = r.choice_order;
+      return {
+        ...toPublicQuestion(r, choiceOrder),
+        your_answer: parseStoredAnswer(r.answer),
+        correct_answer: toDisplayedChoiceAnswer(r, readCorrectAnswer(r), choiceOrder),
+        is_correct: Boolean(r.is_correct),
+        earned_score: Number(r.earned_score),
+        max_score: Number(r.question_max_score),
+        score_detail: parseStoredAnswer(r.score_detail)
+      };
+    });
+
+    // คะแนนรวมก่อน/หลังตัดที่ 0 (score_floor_zero)
+    const quiz = await getQuizById(attempt.quiz_id);
+    const earnedTotal = roundScore(items.reduce((sum, i) => sum + i.earned_score, 0));
+    const scoreBreakdown = {
+      credit_total: roundScore(items.reduce((sum, i) => sum + (i.score_detail?.credit ?? Math.max(0, i.earned_score)), 0)),
+      penalty_total: roundScore(items.reduce((sum, i) => sum + (i.score_detail?.penalty ?? 0), 0)),
+      earned_total: earnedTotal,
+      floor_applied: Boolean(quiz && toFlag(quiz.score_floor_zero) === 1 && earnedTotal < 0),
+      score: Number(attempt.score),
+      max_score: Number(attempt.max_score)
+    };
+
+    return ok(res, 'Get quiz attempt review successful', {
+      attempt,
+      score_breakdown: scoreBreakdown,
+      items,
+      mascot: await attemptMascot(attempt)
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Adaptive quiz (เลือกข้อถัดไปตามความยากที่ใกล้ระดับผู้เรียน แล้วจบเมื่อครบจำนวนหรือค่าประมาณนิ่ง)
+// =========================
+// ความยากของคำถาม → ค่า b ของ Rasch model (คำถามที่ไม่ได้ตั้ง difficulty ถือเป็น medium)
+const ADAPTIVE_DIFFICULTY_B = { [DIFFICULTY_EASY]: -1.5, [DIFFICULTY_MEDIUM]: 0, [DIFFICULTY_HARD]: 1.5 };
+const ADAPTIVE_THETA_GRID = Array.from({ length: 81 }, (_, i) => -4 + i / 10);
+const ADAPTIVE_DEFAULT_MAX_ITEMS = 15;
+const ADAPTIVE_DEFAULT_MIN_ITEMS = 5;
+const ADAPTIVE_DEFAULT_STOP_SE = 0.5;
+
+function questionDifficultyB(question) {
+  return ADAPTIVE_DIFFICULTY_B[question.difficulty] ?? 0;
+}
+
+// EAP บน grid (prior N(0,1)) → { theta, se }
+// responses = [{ b, correct }]
+function estimateAbility(responses) {
+  const weights = ADAPTIVE_THETA_GRID.map((theta) => {
+    let w = Math.exp(-(theta * theta) / 2);
+    for (const r of responses) {
+      const p = 1 / (1 + Math.exp(-(theta - r.b)));
+      w *= r.correct ? p : 1 - p;
+    }
+    return w;
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  const mean = ADAPTIVE_THETA_GRID.reduce((sum, theta, i) => sum + theta * weights[i], 0) / total;
+  const variance = ADAPTIVE_THETA_GRID.reduce((sum, theta, i) => sum + (theta - mean) ** 2 * weights[i], 0) / total;
+  return { theta: Math.round(mean * 1000) / 1000, se: Math.round(Math.sqrt(variance) * 1000) / 1000 };
+}
+
+// เฉพาะข้อที่ตอบแล้ว (ข้อปัจจุบันที่ยังไม่ตอบไม่นับเป็นผิด)
+function adaptiveResponses(questions, answers, quiz) {
+  return questions.filter((q) => answers.has(q.question_id)).map((q) => ({
+    b: questionDifficultyB(q),
+    correct: gradeQuestion(q, answers.get(q.question_id), q.choice_order, quiz).is_correct
+  }));
+}
+
+function adaptiveSettings(quiz) {
+  const maxItems = isPositiveInt(quiz.adaptive_max_items) ? Number(quiz.adaptive_max_items) : ADAPTIVE_DEFAULT_MAX_ITEMS;
+  const minItems = isPositiveInt(quiz.adaptive_min_items) ? Number(quiz.adaptive_min_items) : ADAPTIVE_DEFAULT_MIN_ITEMS;
+  const stopSe = Number(quiz.adaptive_stop_se) > 0 ? Number(quiz.adaptive_stop_se) : ADAPTIVE_DEFAULT_STOP_SE;
+  return { maxItems, minItems: Math.min(minItems, maxItems), stopSe };
+}
+
+function validateAdaptiveSettings(row) {
+  if (row.adaptive_mode !== undefined && row.adaptive_mode !== null) {
+    const flag = toFlag(row.adaptive_mode);
+    if (flag === null) return 'adaptive_mode must be 0 or 1';
+    row.adaptive_mode = flag;
+  }
+  for (const f of ['adaptive_max_items', 'adaptive_min_items']) {
+    if (row[f] !== undefined && row[f] !== null && !isPositiveInt(row[f])) return `${f} must be a positive integer`;
+  }
+  if (row.adaptive_max_items && row.adaptive_min_items && Number(row.adaptive_min_items) > Number(row.adaptive_max_items)) {
+    return 'adaptive_min_items must not exceed adaptive_max_items';
+  }
+  if (row.adaptive_stop_se !== undefined && row.adaptive_stop_se !== null) {
+    const n = Number(row.adaptive_stop_se);
+    if (!Number.isFinite(n) || n <= 0 || n > 2) return 'adaptive_stop_se must be between 0 and 2';
+  }
+  return null;
+}
+
+// ข้อที่ความยากใกล้ theta ที่สุด (เท่ากันสุ่มเลือก)
+function pickAdaptiveQuestion(questions, usedIds, theta) {
+  const remaining = shuffleList(questions.filter((q) => !usedIds.has(q.question_id)));
+  if (!remaining.length) return null;
+  return remaining.reduce((best, q) => (
+    Math.abs(questionDifficultyB(q) - theta) < Math.abs(questionDifficultyB(best) - theta) ? q : best
+  ));
+}
+
+function shouldStopAdaptive(quiz, answeredCount, estimate) {
+  const { maxItems, minItems, stopSe } = adaptiveSettings(quiz);
+  if (answeredCount >= maxItems) return true;
+  return answeredCount >= minItems && estimate.se <= stopSe;
+}
+
+// ตอบข้อปัจจุบันของ adaptive attempt → ได้ข้อถัดไป หรือผลสอบถ้าจบแล้ว
+app.post('/quiz-attempts/:id/adaptive-answer', protect('/quiz-attempts/:id/adaptive-answer'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    if (!isPositiveInt(req.body?.question_id)) return fail(res, 'question_id is required', 400);
+
+    const [attempts] = await pool.execute(
+      `${ATTEMPT_SELECT} WHERE attempt_id = ? AND user_id = ? LIMIT 1`,
+      [req.params.id, req.auth.subject_id]
+    );
+    if (!attempts.length) return fail(res, 'Attempt not found', 404);
+
+    const attempt = attempts[0];
+    if (!attempt.is_adaptive) return fail(res, 'Attempt is not adaptive', 409);
+    if (attempt.status !== ATTEMPT_IN_PROGRESS) return fail(res, 'Attempt already submitted', 409);
+    if (isAttemptExpired(attempt)) {
+      const closed = await finalizeAttempt(attempt, readDraftAnswers(attempt), SUBMIT_AUTO);
+      return fail(res, 'Time limit exceeded', 409, closed);
+    }
+
+    const quiz = await getQuizById(attempt.quiz_id);
+    const served = await getAttemptQuestions(attempt);
+    const current = served[served.length - 1];
+    if (!current || current.question_id !== Number(req.body.question_id)) {
+      return fail(res, 'Answer the current question', 409, { question_id: current?.question_id ?? null });
+    }
+
+    const answers = readDraftAnswers(attempt);
+    if (answers.has(current.question_id)) return fail(res, 'Question already answered', 409);
+    answers.set(current.question_id, req.body.answer ?? null);
+
+    const estimate = estimateAbility(adaptiveResponses(served, answers, quiz));
+    const nextQuestion = shouldStopAdaptive(quiz, served.length, estimate)
+      ? null
+      : pickAdaptiveQuestion(await getQuizQuestions(quiz.quiz_id), new Set(served.map((q) => q.question_id)), estimate.theta);
+    const choiceOrder = nextQuestion && quiz.shuffle_choices ? buildChoiceOrder(nextQuestion) : null;
+
+    const saved = await withTransaction(async (conn) => {
+      // lock attempt กันตอบข้อเดียวกันซ้อนกัน
+      const [locked] = await conn.execute(
+        `SELECT status, draft_answers FROM t_quiz_attempt WHERE attempt_id = ? FOR UPDATE`,
+        [attempt.attempt_id]
+      );
+      if (locked[0]?.status !== ATTEMPT_IN_PROGRESS) return false;
+      if (readDraftAnswers(locked[0]).has(current.question_id)) return false;
+
+      await conn.execute(
+        `UPDATE t_quiz_attempt
+         SET draft_answers = ?, ability_estimate = ?, ability_se = ?, max_score = max_score + ?
+         WHERE attempt_id = ?`,
+        [
+          JSON.stringify(Object.fromEntries(answers)),
+          estimate.theta, estimate.se,
+          nextQuestion ? questionPoints(nextQuestion) : 0,
+          attempt.attempt_id
+        ]
+      );
+      if (nextQuestion) {
+        await conn.execute(
+          `INSERT INTO t_quiz_attempt_question (attempt_id, question_id, position, choice_order, question_snapshot)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            attempt.attempt_id,
+            nextQuestion.question_id,
+            served.length + 1,
+            choiceOrder ? JSON.stringify(choiceOrder) : null,
+            JSON.stringify(nextQuestion)
+          ]
+        );
+      }
+      return true;
+    });
+    if (!saved) return fail(res, 'Question already answered', 409);
+
+    const isCorrect = gradeQuestion(current, answers.get(current.question_id), current.choice_order, quiz).is_correct;
+    if (nextQuestion) {
+      return ok(res, 'Save adaptive answer successful', {
+        is_correct: isCorrect,
+        ability: estimate,
+        finished: false,
+        next_question: toPublicQuestion(nextQuestion, choiceOrder)
+      });
+    }
+
+    const result = await finalizeAttempt(await getAttemptById(attempt.attempt_id), answers, SUBMIT_MANUAL);
+    if (!result) return fail(res, 'Attempt already submitted', 409);
+    result.quiz_result = await getQuizResult(quiz, req.auth.subject_id);
+
+    return ok(res, 'Adaptive quiz finished', {
+      is_correct: isCorrect,
+      ability: estimate,
+      finished: true,
+      result
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Item analysis (สถิติรายข้อจาก attempt ที่ submit แล้ว)
+// =========================
+// กลุ่มบน/ล่างของ discrimination index = 27% ของ attempt ตามคะแนนรวม (Kelley)
+const DISCRIMINATION_GROUP_RATIO = 0.27;
+const ANALYSIS_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundRatio(val) {
+  return Math.round(val * 10000) / 10000;
+}
+
+// organization ดูได้เฉพาะ org ตัวเอง, moderator เลือก ?organization_id= ได้
+// from/to เป็น YYYY-MM-DD (to นับรวมทั้งวัน) เทียบกับ submitted_at
+function itemAnalysisFilter(req) {
+  const where = ['a.quiz_id = ?', 'a.status = ?'];
+  const params = [req.params.id, ATTEMPT_SUBMITTED];
+
+  let orgId = req.query.organization_id;
+  if (isTenantScoped(req)) orgId = req.auth.organization_id;
+  if (orgId !== undefined && orgId !== null && orgId !== '') {
+    if (!isPositiveInt(orgId)) return { error: 'Invalid organization_id' };
+    where.push('a.user_id IN (SELECT user_id FROM m_user WHERE organization_id = ?)');
+    params.push(orgId);
+  }
+
+  const { from, to } = req.query;
+  if (from !== undefined && !ANALYSIS_DATE_RE.test(from)) return { error: 'from must be YYYY-MM-DD' };
+  if (to !== undefined && !ANALYSIS_DATE_RE.test(to)) return { error: 'to must be YYYY-MM-DD' };
+  if (from) { where.push('a.submitted_at >= ?'); params.push(from); }
+  if (to) { where.push('a.submitted_at < DATE_ADD(?, INTERVAL 1 DAY)'); params.push(to); }
+
+  return {
+    sql: where.join(' AND '),
+    params,
+    filters: { organization_id: orgId ? Number(orgId) : null, from: from || null, to: to || null }
+  };
+}
+
+// attempt ที่ key → true/false ของข้อนั้น, คืนสัดส่วนที่ตอบถูกในกลุ่ม (null ถ้าไม่มีใครในกลุ่มได้ข้อนี้)
+function groupCorrectRatio(group, results) {
+  const answered = group.filter((id) => results.has(id));
+  if (!answered.length) return null;
+  return answered.filter((id) => results.get(id)).length / answered.length;
+}
+
+// choice ที่ถูกเลือก (key เดิมของคำถาม) นับจากคำตอบที่ผู้เรียนส่ง
+function pickedChoiceKeys(question, answer) {
+  const original = toOriginalChoiceAnswer(question, answer, question.choice_order);
+  const keys = question.question_type === QUESTION_TYPE_MULTI_SELECT
+    ? toChoiceList(original)
+    : [normalizeAnswer(original)];
+  return [...new Set(keys)].filter((k) => CHOICE_KEYS.includes(k));
+}
+
+function analyzeQuizItems(attempts, rows) {
+  // attempt เรียงคะแนนมาก → น้อย แล้วแบ่งกลุ่มบน/ล่าง (ต้องมีอย่างน้อย 2 attempt)
+  const ranked = [...attempts].sort(
+    (x, y) => scorePercent(y.score, y.max_score) - scorePercent(x.score, x.max_score)
+  );
+  const groupSize = ranked.length >= 2
+    ? Math.min(Math.floor(ranked.length / 2), Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP_RATIO)))
+    : 0;
+  const upper = ranked.slice(0, groupSize).map((a) => a.attempt_id);
+  const lower = ranked.slice(ranked.length - groupSize).map((a) => a.attempt_id);
+
+  const items = new Map();
+  for (const row of rows) {
+    const question = readAttemptQuestion(row);
+    let item = items.get(question.question_id);
+    if (!item) {
+      item = {
+        question,
+        results: new Map(),
+        choices: isChoiceQuestion(question) ? Object.fromEntries(availableChoiceKeys(question).map((k) => [k, 0])) : null,
+        unanswered: 0
+      };
+      items.set(question.question_id, item);
+    }
+
+    const answer = parseStoredAnswer(row.given_answer);
+    item.results.set(row.attempt_id, Boolean(row.given_correct));
+    if (answer === null || answer === '' || (Array.isArray(answer) && !answer.length)) {
+      item.unanswered++;
+    } else if (item.choices) {
+      for (const key of pickedChoiceKeys(question, answer)) {
+        if (key in item.choices) item.choices[key]++;
+      }
+    }
+  }
+
+  return [...items.values()].map(({ question, results, choices, unanswered }) => {
+    const responses = results.size;
+    const correct = [...results.values()].filter(Boolean).length;
+    const upperRatio = groupSize ? groupCorrectRatio(upper, results) : null;
+    const lowerRatio = groupSize ? groupCorrectRatio(lower, results) : null;
+
+    return {
+      question_id: question.question_id,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      response_count: responses,
+      correct_count: correct,
+      unanswered_count: unanswered,
+      difficulty: scorePercent(correct, responses),
+      discrimination_index: upperRatio === null || lowerRatio === null ? null : roundRatio(upperRatio - lowerRatio),
+      choice_distribution: choices && Object.fromEntries(Object.entries(choices).map(([key, count]) => [
+        key,
+        { text: question[`choice_${key}`], count, percent: scorePercent(count, responses) }
+      ]))
+    };
+  });
+}
+
+// GET /quizzes/:id/item-analysis?organization_id=&from=&to=
+// difficulty = % ตอบถูก, discrimination_index = สัดส่วนตอบถูกกลุ่มบน - กลุ่มล่าง (-1..1)
+app.get('/quizzes/:id/item-analysis', protect('/quizzes/:id/item-analysis'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const filter = itemAnalysisFilter(req);
+    if (filter.error) return fail(res, filter.error, 400);
+
+    const quiz = await getQuizById(req.params.id);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+
+    const [attempts] = await pool.execute(
+      `SELECT a.attempt_id, a.score, a.max_score FROM t_quiz_attempt a WHERE ${filter.sql}`,
+      filter.params
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT q.*, ans.attempt_id, ans.question_id AS attempt_question_id,
+              ans.answer AS given_answer, ans.is_correct AS given_correct,
+              aq.choice_order, aq.question_snapshot
+       FROM t_quiz_attempt_answer ans
+       JOIN t_quiz_attempt a ON a.attempt_id = ans.attempt_id
+       LEFT JOIN t_quiz_question q ON q.question_id = ans.question_id
+       LEFT JOIN t_quiz_attempt_question aq
+         ON aq.attempt_id = ans.attempt_id AND aq.question_id = ans.question_id
+       WHERE ${filter.sql}
+       ORDER BY ans.question_id ASC`,
+      filter.params
+    );
+
+    return ok(res, 'Get quiz item analysis successful', {
+      quiz_id: quiz.quiz_id,
+      filters: filter.filters,
+      attempt_count: attempts.length,
+      items: analyzeQuizItems(attempts, rows)
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Review queue (ทบทวนข้อที่ตอบผิดแบบ spaced repetition ตาม SM-2)
+// =========================
+const REVIEW_DEFAULT_EASE = 2.5;
+const REVIEW_MIN_EASE = 1.3;
+const REVIEW_RELEARN_MINUTES = 10;
+const REVIEW_PASS_QUALITY = 3;
+const REVIEW_DEFAULT_LIMIT = 20;
+const REVIEW_MAX_LIMIT = 100;
+
+// ข้อที่ตอบผิดใน attempt → เข้าคิว (ข้อที่อยู่ในคิวแล้วเริ่มนับใหม่ + ลด ease)
+async function queueMissedQuestions(conn, userId, questionIds, attemptId) {
+  if (!questionIds.length) return;
+  await conn.query(
+    `INSERT INTO t_review_item (user_id, question_id, source_attempt_id)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE
+       repetitions = 0,
+       interval_days = 0,
+       lapses = lapses + 1,
+       ease_factor = GREATEST(?, ease_factor - 0.2),
+       due_at = NOW(),
+       source_attempt_id = VALUES(source_attempt_id)`,
+    [questionIds.map((id) => [userId, id, attemptId]), REVIEW_MIN_EASE]
+  );
+}
+
+// SM-2: quality 0..5 → { repetitions, interval_days, ease_factor, lapsed }
+// ตอบผิด (quality < 3) กลับไปเริ่มใหม่และเจออีกครั้งใน REVIEW_RELEARN_MINUTES นาที
+function scheduleReview(item, quality) {
+  const q = quality;
+  const ease = Math.max(
+    REVIEW_MIN_EASE,
+    Number(item.ease_factor || REVIEW_DEFAULT_EASE) + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  );
+  if (q < REVIEW_PASS_QUALITY) {
+    return { repetitions: 0, interval_days: 0, ease_factor: Math.round(ease * 100) / 100, lapsed: true };
+  }
+
+  const repetitions = Number(item.repetitions || 0) + 1;
+  let interval = 1;
+  if (repetitions === 2) interval = 6;
+  if (repetitions > 2) interval = Math.max(1, Math.round(Number(item.interval_days || 1) * Number(item.ease_factor || REVIEW_DEFAULT_EASE)));
+  return { repetitions, interval_days: interval, ease_factor: Math.round(ease * 100) / 100, lapsed: false };
+}
+
+// quality มาจากผลตรวจที่ server: ถูก = 4 (ให้ผู้เรียนบอก 3..5 ได้ว่าจำได้ยาก/ง่าย), ผิด = 1
+function reviewQuality(isCorrect, requested) {
+  if (!isCorrect) return 1;
+  const n = Number(requested);
+  return Number.isInteger(n) && n >= REVIEW_PASS_QUALITY && n <= 5 ? n : 4;
+}
+
+// GET /me/review?limit= → ข้อที่ถึงเวลาทบทวน (ยังไม่เฉลย)
+app.get('/me/review', protect('/me/review'), async (req, res, next) => {
+  try {
+    const limit = req.query.limit === undefined ? REVIEW_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!isPositiveInt(limit) || limit > REVIEW_MAX_LIMIT) {
+      return fail(res, `limit must be between 1 and ${REVIEW_MAX_LIMIT}`, 400);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT q.*, r.review_id, r.due_at, r.repetitions, r.interval_days, r.lapses
+       FROM t_review_item r
+       JOIN t_quiz_question q ON q.question_id = r.question_id
+       WHERE r.user_id = ? AND r.due_at <= NOW()
+         AND (q.active_status IS NULL OR q.active_status <> 0)
+       ORDER BY r.due_at ASC, r.review_id ASC
+       LIMIT ?`,
+      [req.auth.subject_id, limit]
+    );
+    const [counts] = await pool.execute(
+      `SELECT COUNT(*) AS total,
+              SUM(due_at <= NOW()) AS due
+       FROM t_review_item
+       WHERE user_id = ?`,
+      [req.auth.subject_id]
+    );
+
+    return ok(res, 'Get review queue successful', {
+      due_count: Number(counts[0].due || 0),
+      queue_size: Number(counts[0].total || 0),
+      items: rows.map((r) => ({
+        ...toPublicQuestion(r),
+        review: {
+          review_id: r.review_id,
+          due_at: r.due_at,
+          repetitions: r.repetitions,
+          interval_days: r.interval_days,
+          lapses: r.lapses
+        }
+      }))
+    });
+  } catch (e) { next(e); }
+});
+
+// POST /me/review { question_id, answer, quality? } → ตรวจ + นัดรอบถัดไป + exp/streak
+app.post('/me/review', protect('/me/review'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.body?.question_id)) return fail(res, 'question_id is required', 400);
+    const userId = req.auth.subject_id;
+
+    const result = await withTransaction(async (conn) => {
+      const [items] = await conn.execute(
+        `SELECT r.*, r.due_at <= NOW() AS is_due
+         FROM t_review_item r
+         WHERE r.user_id = ? AND r.question_id = ?
+         LIMIT 1 FOR UPDATE`,
+        [userId, req.body.question_id]
+      );
+      if (!items.length) return { status: 404, message: 'Question not in review queue' };
+      const item = items[0];
+      if (!Number(item.is_due)) return { status: 409, message: 'Question not due for review yet', data: { due_at: item.due_at } };
+
+      const [questions] = await conn.execute(
+        `SELECT * FROM t_quiz_question WHERE question_id = ? LIMIT 1`,
+        [item.question_id]
+      );
+      if (!questions.length) return { status: 404, message: 'Question not found' };
+      const question = questions[0];
+
+      const graded = gradeQuestion(question, req.body.answer);
+      const quality = reviewQuality(graded.is_correct, req.body.quality);
+      const schedule = scheduleReview(item, quality);
+
+      await conn.execute(
+        `UPDATE t_review_item
+         SET repetitions = ?, interval_days = ?, ease_factor = ?, lapses = lapses + ?,
+             last_reviewed_at = NOW(),
+             due_at = IF(? = 0, DATE_ADD(NOW(), INTERVAL ? MINUTE), DATE_ADD(NOW(), INTERVAL ? DAY))
+         WHERE review_id = ?`,
+        [
+          schedule.repetitions, schedule.interval_days, schedule.ease_factor, schedule.lapsed ? 1 : 0,
+          schedule.interval_days, REVIEW_RELEARN_MINUTES, schedule.interval_days,
+          item.review_id
+        ]
+      );
+      const [log] = await conn.execute(
+        `INSERT INTO t_review_log (review_id, user_id, question_id, answer, is_correct, quality)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [item.review_id, userId, item.question_id, JSON.stringify(req.body.answer ?? null), graded.is_correct ? 1 : 0, quality]
+      );
+
+      const courseId = await getQuizCourseId(conn, question.quiz_id);
+      const streak = await recordLearningActivity(conn, userId);
+      const rewards = await awardEvents(conn, userId, [{
+        event_code: graded.is_correct ? REWARD_REVIEW_CORRECT : REWARD_REVIEW_WRONG,
+        ref_id: log.insertId,
+        course_id: courseId
+      }]);
+      const quests = await advanceQuests(conn, userId, { course_id: courseId, review: true, exp: rewards.exp_gained });
+      const badges = await checkBadges(conn, userId);
+
+      const [updated] = await conn.execute(`SELECT * FROM t_review_item WHERE review_id = ? LIMIT 1`, [item.review_id]);
+      return {
+        data: {
+          question_id: question.question_id,
+          is_correct: graded.is_correct,
+          correct_answer: readCorrectAnswer(question),
+          quality,
+          review: updated[0],
+          rewards,
+          streak,
+          quests,
+          badges
+        }
+      };
+    });
+    if (result.status) return fail(res, result.message, result.status, result.data ?? null);
+
+    return ok(res, 'Record review result successful', result.data);
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Rewards (exp / point / level คำนวณที่ server จาก event เท่านั้น)
+// =========================
+const REWARD_QUIZ_SUBMITTED = 'quiz_submitted';
+const REWARD_QUIZ_PASSED = 'quiz_passed';
+const REWARD_PERFECT_SCORE = 'perfect_score';
+const REWARD_SUBJECT_COMPLETED = 'subject_completed';
+const REWARD_REVIEW_CORRECT = 'review_correct';
+const REWARD_REVIEW_WRONG = 'review_wrong';
+// exp / point มาจาก m_quest ของแต่ละ quest (ไม่ใช้ m_reward_rule)
+const REWARD_QUEST_COMPLETED = 'quest_completed';
+const REWARD_DUEL_WON = 'duel_won';
+const REWARD_DUEL_DRAW = 'duel_draw';
+
+// ค่าเริ่มต้น (ปรับได้ผ่าน PUT /reward-config/rules/:event → m_reward_rule)
+const DEFAULT_REWARD_RULES = {
+  [REWARD_QUIZ_SUBMITTED]: { exp: 10, point: 0 },
+  [REWARD_QUIZ_PASSED]: { exp: 30, point: 10 },
+  [REWARD_PERFECT_SCORE]: { exp: 20, point: 10 },
+  [REWARD_SUBJECT_COMPLETED]: { exp: 100, point: 50 },
+  [REWARD_REVIEW_CORRECT]: { exp: 10, point: 0 },
+  [REWARD_REVIEW_WRONG]: { exp: 2, point: 0 },
+  [REWARD_DUEL_WON]: { exp: 20, point: 20 },
+  [REWARD_DUEL_DRAW]: { exp: 10, point: 5 },
+};
+const REWARD_EVENTS = Object.keys(DEFAULT_REWARD_RULES);
+
+// ref_id ของแต่ละ event ชี้ไปที่ entity ไหน (ใช้เป็น source ใน point ledger)
+const REWARD_REF_TYPES = {
+  [REWARD_QUIZ_SUBMITTED]: 'quiz',
+  [REWARD_QUIZ_PASSED]: 'quiz',
+  [REWARD_PERFECT_SCORE]: 'quiz',
+  [REWARD_SUBJECT_COMPLETED]: 'subject',
+  [REWARD_REVIEW_CORRECT]: 'review_log',
+  [REWARD_REVIEW_WRONG]: 'review_log',
+  [REWARD_QUEST_COMPLETED]: 'user_quest',
+  [REWARD_DUEL_WON]: 'duel',
+  [REWARD_DUEL_DRAW]: 'duel',
+};
+
+// exp ขั้นต่ำของแต่ละ level (index 0 = level 1) ใช้เมื่อ m_level ว่าง
+const DEFAULT_LEVEL_THRESHOLDS = [0, 100, 250, 500, 1000, 2000, 3500, 5500, 8000, 11000];
+
+async function getRewardRules(conn = pool) {
+  const [rows] = await conn.execute(`SELECT event_code, exp, point FROM m_reward_rule`);
+  const rules = { ...DEFAULT_REWARD_RULES };
+  for (const r of rows) {
+    if (r.event_code in rules) rules[r.event_code] = { exp: Number(r.exp), point: Number(r.point) };
+  }
+  return rules;
+}
+
+async function getLevelThresholds(conn = pool) {
+  const [rows] = await conn.execute(`SELECT level, min_exp FROM m_level ORDER BY level ASC`);
+  return rows.length ? rows.map((r) => Number(r.min_exp)) : DEFAULT_LEVEL_THRESHOLDS;
+}
+
+function levelForExp(exp, thresholds) {
+  let level = 1;
+  thresholds.forEach((minExp, i) => {
+    if (Number(exp) >= minExp) level = i + 1;
+  });
+  return level;
+}
+
+// lock แถว t_user_stat ของ user (ยังไม่มี → สร้างใหม่)
+async function ensureUserStat(conn, userId) {
+  const select = () => conn.execute(`SELECT * FROM t_user_stat WHERE user_id = ? LIMIT 1 FOR UPDATE`, [userId]);
+  let [rows] = await select();
+  if (!rows.length) {
+    await conn.execute(
+      `INSERT INTO t_user_stat (user_id, level, exp, streak, point) VALUES (?, 1, 0, 0, 0)`,
+      [userId]
+    );
+    [rows] = await select();
+  }
+  return rows[0];
+}
+
+// events = [{ event_code, ref_id, course_id?, reward? }] → ให้รางวัลครั้งเดียวต่อ (user, event, ref) แล้วคำนวณ level ใหม่
+// reward = { exp, point } ใช้แทน rule ของ event (เช่น quest)
+// คืน { awarded, exp_gained, point_gained, level_before, level_after, leveled_up, user_stat }
+async function awardEvents(conn, userId, events) {
+  const stat = await ensureUserStat(conn, userId);
+  const rules = await getRewardRules(conn);
+  const day = localDate(await getUserTimeZone(conn, userId));
+
+  const awarded = [];
+  for (const e of events) {
+    const rule = e.reward || rules[e.event_code];
+    if (!rule) continue;
+    const [result] = await conn.execute(
+      `INSERT IGNORE INTO t_reward_event (user_id, event_code, ref_id, exp, point, course_id, activity_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, e.event_code, e.ref_id, rule.exp, rule.point, e.course_id ?? null, day]
+    );
+    if (!result.affectedRows) continue;
+    awarded.push({ event_code: e.event_code, ref_id: e.ref_id, exp: rule.exp, point: rule.point, course_id: e.course_id ?? null });
+    if (rule.point > 0) {
+      await postPointTransaction(conn, userId, {
+        amount: rule.point,
+        reason: e.event_code,
+        source_type: REWARD_REF_TYPES[e.event_code],
+        source_id: e.ref_id
+      });
+    }
+  }
+  await addLeaderboardScore(conn, userId, awarded);
+
+  const expGained = awarded.reduce((sum, a) => sum + a.exp, 0);
+  const pointGained = awarded.reduce((sum, a) => sum + a.point, 0);
+  const levelBefore = Number(stat.level) || 1;
+  const exp = Number(stat.exp || 0) + expGained;
+  const levelAfter = Math.max(levelBefore, levelForExp(exp, await getLevelThresholds(conn)));
+
+  await conn.execute(
+    `UPDATE t_user_stat SET exp = ?, level = ? WHERE stat_id = ?`,
+    [exp, levelAfter, stat.stat_id]
+  );
+  const [stats] = await conn.execute(`SELECT * FROM t_user_stat WHERE stat_id = ? LIMIT 1`, [stat.stat_id]);
+
+  return {
+    awarded,
+    exp_gained: expGained,
+    point_gained: pointGained,
+    level_before: levelBefore,
+    level_after: levelAfter,
+    leveled_up: levelAfter > levelBefore,
+    user_stat: stats[0]
+  };
+}
+
+// event ของการส่ง quiz (เรียกใน transaction เดียวกับ finalizeAttempt)
+// progress = ผลของ syncCourseProgress (subject ครบตาม completion_rule ของ subject)
+// ส่งได้รางวัลครั้งเดียวต่อ quiz (ref = quiz_id) กันเริ่ม/ส่งเปล่าวนซ้ำเพื่อเก็บ exp
+async function awardQuizEvents(conn, attempt, quiz, { score, maxScore, passed, courseId, progress }) {
+  const events = [{ event_code: REWARD_QUIZ_SUBMITTED, ref_id: attempt.quiz_id }];
+  if (quiz && passed) events.push({ event_code: REWARD_QUIZ_PASSED, ref_id: quiz.quiz_id });
+  if (quiz && maxScore > 0 && score >= maxScore) events.push({ event_code: REWARD_PERFECT_SCORE, ref_id: quiz.quiz_id });
+  // attempt ที่สอบตกไม่ได้รางวัลจบ subject (แม้ rule all_submitted จะนับว่าครบแล้ว) → ได้ตอนส่งผ่านครั้งถัดไป
+  const subject = quiz && progress ? progress.subjects.find((s) => Number(s.subject_id) === Number(quiz.subject_id)) : null;
+  if (subject && subject.is_completed && passed !== false) {
+    events.push({ event_code: REWARD_SUBJECT_COMPLETED, ref_id: quiz.subject_id });
+  }
+  return awardEvents(conn, attempt.user_id, events.map((e) => ({ ...e, course_id: courseId })));
+}
+
+async function getQuizCourseId(conn, quizId) {
+  const [rows] = await conn.execute(
+    `SELECT s.course_id
+     FROM m_quiz z
+     JOIN m_subject s ON s.subject_id = z.subject_id
+     WHERE z.quiz_id = ?
+     LIMIT 1`,
+    [quizId]
+  );
+  return rows[0]?.course_id ?? null;
+}
+
+function validateLevelThresholds(list) {
+  if (!Array.isArray(list) || !list.length) return 'levels must be a non-empty array';
+  const values = list.map((l) => (l && typeof l === 'object' ? l.min_exp : l)).map(Number);
+  if (!values.every((v) => Number.isInteger(v) && v >= 0)) return 'min_exp must be a non-negative integer';
+  if (values[0] !== 0) return 'level 1 must start at 0 exp';
+  if (values.some((v, i) => i > 0 && v <= values[i - 1])) return 'min_exp must be strictly increasing';
+  return null;
+}
+
+// GET /reward-config → ค่าที่ใช้จริง (รวมค่าเริ่มต้น)
+app.get('/reward-config', protect('/reward-config'), async (req, res, next) => {
+  try {
+    const rules = await getRewardRules();
+    const thresholds = await getLevelThresholds();
+    return ok(res, 'Get reward config successful', {
+      rules: REWARD_EVENTS.map((event_code) => ({ event_code, ...rules[event_code] })),
+      levels: thresholds.map((min_exp, i) => ({ level: i + 1, min_exp }))
+    });
+  } catch (e) { next(e); }
+});
+
+// PUT /reward-config/levels { levels: [0, 100, 250] | [{ min_exp }] } → แทนที่ทั้งชุด
+app.put('/reward-config/levels', protect('/reward-config'), async (req, res, next) => {
+  try {
+    const list = req.body?.levels;
+    const invalid = validateLevelThresholds(list);
+    if (invalid) return fail(res, invalid, 400);
+
+    const values = list.map((l) => Number(l && typeof l === 'object' ? l.min_exp : l));
+    await withTransaction(async (conn) => {
+      await conn.execute(`DELETE FROM m_level`);
+      await conn.query(`INSERT INTO m_level (level, min_exp) VALUES ?`, [values.map((v, i) => [i + 1, v])]);
+    });
+    // level ของ user ไม่ลดลงเมื่อปรับเกณฑ์ (คำนวณใหม่ตอนได้ exp ครั้งถัดไป)
+    return ok(res, 'Update level thresholds successful', values.map((min_exp, i) => ({ level: i + 1, min_exp })));
+  } catch (e) { next(e); }
+});
+
+// PUT /reward-config/rules/:event { exp, point }
+app.put('/reward-config/rules/:event', protect('/reward-config'), async (req, res, next) => {
+  try {
+    const eventCode = req.params.event;
+    if (!REWARD_EVENTS.includes(eventCode)) return fail(res, `event must be one of: ${REWARD_EVENTS.join(', ')}`, 400);
+
+    const exp = Number(req.body?.exp ?? 0);
+    const point = Number(req.body?.point ?? 0);
+    if (![exp, point].every((n) => Number.isInteger(n) && n >= 0)) {
+      return fail(res, 'exp and point must be non-negative integers', 400);
+    }
+
+    await pool.execute(
+      `INSERT INTO m_reward_rule (event_code, exp, point) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE exp = VALUES(exp), point = VALUES(point)`,
+      [eventCode, exp, point]
+    );
+    return ok(res, 'Update reward rule successful', { event_code: eventCode, exp, point });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Point ledger (ทุกการเปลี่ยนแปลง point ต้องผ่าน ledger, t_user_stat.point = ยอดคงเหลือล่าสุด)
+// =========================
+const POINT_REASON_OPENING_BALANCE = 'opening_balance';
+const POINT_REASON_STREAK_FREEZE = 'streak_freeze';
+const POINT_HISTORY_DEFAULT_LIMIT = 50;
+const POINT_HISTORY_MAX_LIMIT = 200;
+
+// ยอด point ที่มีอยู่ก่อนมี ledger → บันทึกเป็นยอดยกมาครั้งเดียวตอน initDb ให้ผลรวม ledger ตรงกับ balance
+async function backfillOpeningBalances() {
+  await pool.execute(
+    `INSERT INTO t_point_transaction (user_id, amount, balance_after, reason)
+     SELECT s.user_id, s.point, s.point, ?
+     FROM t_user_stat s
+     WHERE s.point > 0
+       AND NOT EXISTS (SELECT 1 FROM t_point_transaction p WHERE p.user_id = s.user_id)`,
+    [POINT_REASON_OPENING_BALANCE]
+  );
+}
+
+// บันทึก point เข้า (amount > 0) / ออก (amount < 0) ต้องเรียกใน transaction
+// lock แถว t_user_stat ก่อนเสมอ → คืนแถว ledger หรือ null ถ้า point ไม่พอ (ไม่บันทึกอะไร)
+async function postPointTransaction(conn, userId, { amount, reason, source_type = null, source_id = null, note = null }) {
+  const stat = await ensureUserStat(conn, userId);
+  const balance = Number(stat.point || 0) + amount;
+  if (balance < 0) return null;
+
+  const [result] = await conn.execute(
+    `INSERT INTO t_point_transaction (user_id, amount, balance_after, reason, source_type, source_id, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, amount, balance, reason, source_type, source_id, note]
+  );
+  await conn.execute(`UPDATE t_user_stat SET point = ? WHERE stat_id = ?`, [balance, stat.stat_id]);
+
+  const [rows] = await conn.execute(
+    `SELECT * FROM t_point_transaction WHERE transaction_id = ? LIMIT 1`,
+    [result.insertId]
+  );
+  return rows[0];
+}
+
+// GET /users/:id/points/history?limit=&before_id= → ledger ล่าสุดก่อน (ใช้ next_before_id เลื่อนหน้า)
+// ต้องประกาศก่อน mount CRUD ของ /users
+app.get('/users/:id/points/history', protect('/users/:id/points/history'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const limit = req.query.limit === undefined ? POINT_HISTORY_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!isPositiveInt(limit) || limit > POINT_HISTORY_MAX_LIMIT) {
+      return fail(res, `limit must be between 1 and ${POINT_HISTORY_MAX_LIMIT}`, 400);
+    }
+    if (req.query.before_id !== undefined && !isPositiveInt(req.query.before_id)) {
+      return fail(res, 'before_id must be a positive integer', 400);
+    }
+
+    const user = await findViewableUser(req, Number(req.params.id));
+    if (!user) return fail(res, 'User not found', 404);
+    const userId = Number(user.user_id);
+
+    const [stats] = await pool.execute(`SELECT point FROM t_user_stat WHERE user_id = ? LIMIT 1`, [userId]);
+    const balance = Number(stats[0]?.point || 0);
+
+    const beforeSql = req.query.before_id !== undefined ? ' AND transaction_id < ?' : '';
+    const params = req.query.before_id !== undefined ? [userId, Number(req.query.before_id)] : [userId];
+    const [rows] = await pool.query(
+      `SELECT transaction_id, amount, balance_after, reason, source_type, source_id, note, created_date
+       FROM t_point_transaction
+       WHERE user_id = ?${beforeSql}
+       ORDER BY transaction_id DESC
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const items = rows.slice(0, limit);
+
+    return ok(res, 'Get point history successful', {
+      user_id: userId,
+      balance,
+      items,
+      next_before_id: rows.length > limit ? items[items.length - 1].transaction_id : null
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Streaks (นับวันเรียนต่อเนื่องที่ server ตามเขตเวลาของ user / organization)
+// =========================
+const DEFAULT_TIMEZONE = process.env.APP_TIMEZONE || 'Asia/Bangkok';
+const STREAK_FREEZE_COST = Number(process.env.STREAK_FREEZE_COST || 50);
+const STREAK_FREEZE_MAX = Number(process.env.STREAK_FREEZE_MAX || 2);
+const STREAK_HISTORY_DEFAULT_DAYS = 30;
+const STREAK_HISTORY_MAX_DAYS = 366;
+const STREAK_DAY_ACTIVE = 'active';
+const STREAK_DAY_FROZEN = 'frozen';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(tz) {
+  if (!isNonEmptyString(tz)) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// วันที่ (YYYY-MM-DD) ของเวลา at ในเขตเวลา timeZone
+function localDate(timeZone, at = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(at);
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// เขตเวลาของ user → ของ organization → ค่าเริ่มต้นของระบบ
+async function getUserTimeZone(conn, userId) {
+  const [rows] = await conn.execute(
+    `SELECT u.timezone AS user_timezone, o.timezone AS organization_timezone
+     FROM m_user u
+     LEFT JOIN m_organization o ON o.organization_id = u.organization_id
+     WHERE u.user_id = ?
+     LIMIT 1`,
+    [userId]
+  );
+  const row = rows[0] || {};
+  return [row.user_timezone, row.organization_timezone].find(isValidTimeZone) || DEFAULT_TIMEZONE;
+}
+
+async function getStreakStat(conn, userId) {
+  const [rows] = await conn.execute(
+    `SELECT stat_id, streak, longest_streak, streak_freezes, point,
+            DATE_FORMAT(last_active_date, '%Y-%m-%d') AS last_active_day
+     FROM t_user_stat
+     WHERE user_id = ?
+     LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// streak ที่ยังนับอยู่ ณ วันนี้ (ขาดเกินจำนวน freeze ที่มี = หลุดแล้ว)
+function currentStreak(stat, today) {
+  if (!stat || !stat.last_active_day) return 0;
+  const gap = daysBetween(stat.last_active_day, today);
+  if (gap <= 1) return Number(stat.streak || 0);
+  return gap - 1 <= Number(stat.streak_freezes || 0) ? Number(stat.streak || 0) : 0;
+}
+
+// บันทึกวันเรียน + คำนวณ streak (ใช้ freeze อุดวันที่ขาดได้วันละ 1 อัน)
+// เรียกใน transaction ของ activity นั้นๆ
+async function recordLearningActivity(conn, userId) {
+  const timeZone = await getUserTimeZone(conn, userId);
+  const today = localDate(timeZone);
+  await ensureUserStat(conn, userId);
+  const stat = await getStreakStat(conn, userId);
+
+  await conn.execute(
+    `INSERT INTO t_user_activity_day (user_id, activity_date, status, activity_count)
+     VALUES (?, ?, ?, 1)
+     ON DUPLICATE KEY UPDATE status = VALUES(status), activity_count = activity_count + 1`,
+    [userId, today, STREAK_DAY_ACTIVE]
+  );
+
+  const gap = stat.last_active_day ? daysBetween(stat.last_active_day, today) : null;
+  let streak = Number(stat.streak || 0);
+  let freezesUsed = 0;
+
+  // gap <= 0 = วันเดียวกัน (หรือเปลี่ยน timezone ย้อนวัน) → ไม่เปลี่ยน
+  if (gap === null || gap > 0) {
+    const missed = gap === null ? 0 : gap - 1;
+    if (gap === 1) {
+      streak += 1;
+    } else if (gap !== null && missed <= Number(stat.streak_freezes || 0)) {
+      freezesUsed = missed;
+      streak += 1;
+      await conn.query(
+        `INSERT IGNORE INTO t_user_activity_day (user_id, activity_date, status, activity_count) VALUES ?`,
+        [Array.from({ length: missed }, (_, i) => [userId, addDays(stat.last_active_day, i + 1), STREAK_DAY_FROZEN, 0])]
+      );
+    } else {
+      streak = 1;
+    }
+
+    await conn.execute(
+      `UPDATE t_user_stat
+       SET streak = ?, longest_streak = GREATEST(COALESCE(longest_streak, 0), ?),
+           streak_freezes = COALESCE(streak_freezes, 0) - ?, last_active_date = ?
+       WHERE stat_id = ?`,
+      [streak, streak, freezesUsed, today, stat.stat_id]
+    );
+  }
+
+  const updated = await getStreakStat(conn, userId);
+  return {
+    streak: Number(updated.streak),
+    longest_streak: Number(updated.longest_streak || 0),
+    streak_freezes: Number(updated.streak_freezes || 0),
+    freezes_used: freezesUsed,
+    today,
+    time_zone: timeZone
+  };
+}
+
+// GET /me/streak
+app.get('/me/streak', protect('/me/streak'), async (req, res, next) => {
+  try {
+    const timeZone = await getUserTimeZone(pool, req.auth.subject_id);
+    const today = localDate(timeZone);
+    const stat = await getStreakStat(pool, req.auth.subject_id);
+
+    return ok(res, 'Get streak successful', {
+      streak: currentStreak(stat, today),
+      longest_streak: Number(stat?.longest_streak || 0),
+      streak_freezes: Number(stat?.streak_freezes || 0),
+      freeze_cost: STREAK_FREEZE_COST,
+      freeze_max: STREAK_FREEZE_MAX,
+      last_active_date: stat?.last_active_day ?? null,
+      active_today: stat?.last_active_day === today,
+      today,
+      time_zone: timeZone
+    });
+  } catch (e) { next(e); }
+});
+
+// GET /me/streak/history?from=&to= (YYYY-MM-DD, ค่าเริ่มต้น 30 วันล่าสุด) → ทุกวันในช่วงสำหรับปฏิทิน
+app.get('/me/streak/history', protect('/me/streak'), async (req, res, next) => {
+  try {
+    const timeZone = await getUserTimeZone(pool, req.auth.subject_id);
+    const today = localDate(timeZone);
+    const to = req.query.to ?? today;
+    const from = req.query.from ?? addDays(to, 1 - STREAK_HISTORY_DEFAULT_DAYS);
+
+    if (!ANALYSIS_DATE_RE.test(from) || !ANALYSIS_DATE_RE.test(to)) return fail(res, 'from and to must be YYYY-MM-DD', 400);
+    const span = daysBetween(from, to) + 1;
+    if (!(span >= 1 && span <= STREAK_HISTORY_MAX_DAYS)) {
+      return fail(res, `Date range must be 1 to ${STREAK_HISTORY_MAX_DAYS} days`, 400);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(activity_date, '%Y-%m-%d') AS day, status, activity_count
+       FROM t_user_activity_day
+       WHERE user_id = ? AND activity_date BETWEEN ? AND ?`,
+      [req.auth.subject_id, from, to]
+    );
+    const byDay = new Map(rows.map((r) => [r.day, r]));
+
+    const days = Array.from({ length: span }, (_, i) => {
+      const date = addDays(from, i);
+      const row = byDay.get(date);
+      return { date, status: row ? row.status : null, activity_count: row ? Number(row.activity_count) : 0 };
+    });
+
+    return ok(res, 'Get streak history successful', { from, to, today, time_zone: timeZone, days });
+  } catch (e) { next(e); }
+});
+
+// POST /me/streak/freezes { quantity } → ซื้อ freeze ด้วย point
+app.post('/me/streak/freezes', protect('/me/streak'), async (req, res, next) => {
+  try {
+    const quantity = req.body?.quantity === undefined ? 1 : Number(req.body.quantity);
+    if (!isPositiveInt(quantity)) return fail(res, 'quantity must be a positive integer', 400);
+    const cost = quantity * STREAK_FREEZE_COST;
+
+    const result = await withTransaction(async (conn) => {
+      const stat = await ensureUserStat(conn, req.auth.subject_id);
+      if (Number(stat.streak_freezes || 0) + quantity > STREAK_FREEZE_MAX) {
+        return { status: 409, message: `Cannot hold more than ${STREAK_FREEZE_MAX} streak freezes` };
+      }
+      const spent = await postPointTransaction(conn, req.auth.subject_id, {
+        amount: -cost,
+        reason: POINT_REASON_STREAK_FREEZE,
+        note: `${quantity} streak freeze(s)`
+      });
+      if (!spent) return { status: 409, message: 'Not enough points' };
+
+      await conn.execute(
+        `UPDATE t_user_stat SET streak_freezes = COALESCE(streak_freezes, 0) + ? WHERE stat_id = ?`,
+        [quantity, stat.stat_id]
+      );
+      return { stat: await getStreakStat(conn, req.auth.subject_id), transaction: spent };
+    });
+    if (result.status) return fail(res, result.message, result.status);
+
+    return ok(res, 'Buy streak freeze successful', {
+      quantity,
+      point_spent: cost,
+      point: Number(result.stat.point),
+      transaction_id: result.transaction.transaction_id,
+      streak_freezes: Number(result.stat.streak_freezes)
+    });
+  } catch (e) { next(e); }
+});
+
+// PUT /me/timezone { timezone } (null = ใช้ของ organization)
+app.put('/me/timezone', protect('/me/timezone'), async (req, res, next) => {
+  try {
+    const timezone = req.body?.timezone ?? null;
+    if (timezone !== null && !isValidTimeZone(timezone)) return fail(res, 'Invalid timezone', 400);
+
+    await pool.execute(`UPDATE m_user SET timezone = ? WHERE user_id = ?`, [timezone, req.auth.subject_id]);
+    return ok(res, 'Update timezone successful', {
+      timezone,
+      effective_timezone: await getUserTimeZone(pool, req.auth.subject_id)
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Leaderboards (rollup คะแนน exp ต่อ scope × ช่วงเวลา อัปเดตทุกครั้งที่ให้รางวัล)
+// =========================
+const LEADERBOARD_SCOPE_ORGANIZATION = 'organization';
+const LEADERBOARD_SCOPE_GROUP = 'group';
+const LEADERBOARD_SCOPE_COURSE = 'course';
+const LEADERBOARD_SCOPES = [LEADERBOARD_SCOPE_ORGANIZATION, LEADERBOARD_SCOPE_GROUP, LEADERBOARD_SCOPE_COURSE];
+const LEADERBOARD_PERIOD_WEEK = 'week';
+const LEADERBOARD_PERIOD_MONTH = 'month';
+const LEADERBOARD_PERIOD_ALL = 'all';
+const LEADERBOARD_PERIODS = [LEADERBOARD_PERIOD_WEEK, LEADERBOARD_PERIOD_MONTH, LEADERBOARD_PERIOD_ALL];
+const LEADERBOARD_DEFAULT_LIMIT = 10;
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// YYYY-MM-DD → ISO week แบบเดียวกับ DATE_FORMAT(d, '%x-W%v') ของ MySQL
+function isoWeekKey(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) + 3);
+  const year = d.getUTCFullYear();
+  const week = 1 + Math.floor((d - Date.UTC(year, 0, 1)) / DAY_MS / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+function leaderboardPeriodKey(period, day) {
+  if (period === LEADERBOARD_PERIOD_WEEK) return isoWeekKey(day);
+  if (period === LEADERBOARD_PERIOD_MONTH) return day.slice(0, 7);
+  return LEADERBOARD_PERIOD_ALL;
+}
+
+// awarded = [{ exp, course_id }] ช่วงเวลาคิดตามเขตเวลาของ organization (ตรงกับ GET /leaderboards)
+// ย้าย org/group ทีหลังคะแนนเดิมยังอยู่ที่เดิมจนกว่าจะ rebuild
+async function addLeaderboardScore(conn, userId, awarded) {
+  const [users] = await conn.execute(
+    `SELECT organization_id, group_id FROM m_user WHERE user_id = ? LIMIT 1`,
+    [userId]
+  );
+  const user = users[0] || {};
+  const day = localDate(await getOrganizationTimeZone(user.organization_id));
+
+  const rows = [];
+  for (const a of awarded) {
+    if (!a.exp) continue;
+    const scopes = [
+      [LEADERBOARD_SCOPE_ORGANIZATION, user.organization_id],
+      [LEADERBOARD_SCOPE_GROUP, user.group_id],
+      [LEADERBOARD_SCOPE_COURSE, a.course_id]
+    ].filter(([, id]) => id);
+    for (const [scopeType, scopeId] of scopes) {
+      for (const period of LEADERBOARD_PERIODS) {
+        rows.push([scopeType, scopeId, user.organization_id ?? null, period, leaderboardPeriodKey(period, day), userId, a.exp]);
+      }
+    }
+  }
+  if (!rows.length) return;
+
+  await conn.query(
+    `INSERT INTO t_leaderboard_score
+     (scope_type, scope_id, organization_id, period_type, period_key, user_id, score)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE score = score + VALUES(score)`,
+    [rows]
+  );
+}
+
+// scope ที่ผู้เรียก/organization ดูได้ → { scopeId, organizationId } หรือ { error, code }
+// course ของ user/organization เห็นเฉพาะคนใน organization ตัวเอง
+async function resolveLeaderboardScope(req, scope) {
+  const requested = req.query.scope_id;
+  if (requested !== undefined && !isPositiveInt(requested)) return { error: 'Invalid scope_id', code: 400 };
+
+  if (req.auth.role === ROLE_MODERATOR) {
+    if (!requested) return { error: 'scope_id is required', code: 400 };
+    const orgFilter = req.query.organization_id;
+    if (orgFilter !== undefined && !isPositiveInt(orgFilter)) return { error: 'Invalid organization_id', code: 400 };
+    return {
+      scopeId: Number(requested),
+      organizationId: scope === LEADERBOARD_SCOPE_COURSE && orgFilter ? Number(orgFilter) : null
+    };
+  }
+
+  const orgId = req.auth.organization_id;
+  if (scope === LEADERBOARD_SCOPE_ORGANIZATION) {
+    if (requested && Number(requested) !== Number(orgId)) return { error: 'Forbidden', code: 403 };
+    return orgId ? { scopeId: Number(orgId), organizationId: null } : { error: 'No organization', code: 404 };
+  }
+  if (scope === LEADERBOARD_SCOPE_GROUP) {
+    const groupId = requested || (req.auth.role === ROLE_USER ? req.auth.group_id : null);
+    if (!groupId) return { error: 'scope_id is required', code: 400 };
+    if (!(await isGroupInOrganization(groupId, orgId))) return { error: 'Forbidden', code: 403 };
+    return { scopeId: Number(groupId), organizationId: null };
+  }
+  if (!requested) return { error: 'scope_id is required', code: 400 };
+  // ไม่มี org → ไม่กรอง organization ได้ (จะเห็นคะแนนข้าม tenant)
+  if (!orgId) return { error: 'No organization', code: 404 };
+  return { scopeId: Number(requested), organizationId: orgId };
+}
+
+// เขตเวลาของ organization เจ้าของ scope (course ที่ไม่ระบุ organization → ค่าเริ่มต้นของระบบ)
+async function getLeaderboardTimeZone(scope, resolved) {
+  if (scope === LEADERBOARD_SCOPE_ORGANIZATION) return getOrganizationTimeZone(resolved.scopeId);
+  if (scope === LEADERBOARD_SCOPE_GROUP) {
+    const [groups] = await pool.execute(
+      `SELECT organization_id FROM m_group WHERE group_id = ? LIMIT 1`,
+      [resolved.scopeId]
+    );
+    return getOrganizationTimeZone(groups[0]?.organization_id);
+  }
+  return getOrganizationTimeZone(resolved.organizationId);
+}
+
+// GET /leaderboards?scope=organization|group|course&scope_id=&period=week|month|all&limit=
+app.get('/leaderboards', protect('/leaderboards'), async (req, res, next) => {
+  try {
+    const scope = req.query.scope || LEADERBOARD_SCOPE_ORGANIZATION;
+    const period = req.query.period || LEADERBOARD_PERIOD_WEEK;
+    const limit = req.query.limit === undefined ? LEADERBOARD_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!LEADERBOARD_SCOPES.includes(scope)) return fail(res, `scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`, 400);
+    if (!LEADERBOARD_PERIODS.includes(period)) return fail(res, `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`, 400);
+    if (!isPositiveInt(limit) || limit > LEADERBOARD_MAX_LIMIT) {
+      return fail(res, `limit must be between 1 and ${LEADERBOARD_MAX_LIMIT}`, 400);
+    }
+
+    const resolved = await resolveLeaderboardScope(req, scope);
+    if (resolved.error) return fail(res, resolved.error, resolved.code);
+
+    const periodKey = leaderboardPeriodKey(period, localDate(await getLeaderboardTimeZone(scope, resolved)));
+
+    const where = 's.scope_type = ? AND s.scope_id = ? AND s.period_type = ? AND s.period_key = ?';
+    const params = [scope, resolved.scopeId, period, periodKey];
+    const orgSql = resolved.organizationId ? ' AND s.organization_id = ?' : '';
+    if (resolved.organizationId) params.push(resolved.organizationId);
+
+    const [rows] = await pool.query(
+      `SELECT s.user_id, s.score, u.picture
+       FROM t_leaderboard_score s
+       LEFT JOIN m_user u ON u.user_id = s.user_id
+       WHERE ${where}${orgSql}
+       ORDER BY s.score DESC, s.user_id ASC
+       LIMIT ?`,
+      [...params, limit]
+    );
+
+    // อันดับแบบคะแนนเท่ากันได้อันดับเดียวกัน (1, 2, 2, 4)
+    let rank = 0;
+    const top = rows.map((r, i) => {
+      if (i === 0 || Number(r.score) !== Number(rows[i - 1].score)) rank = i + 1;
+      return { rank, user_id: r.user_id, picture: r.picture ?? null, score: Number(r.score) };
+    });
+
+    let me = null;
+    if (req.auth.role === ROLE_USER) {
+      const [mine] = await pool.execute(
+        `SELECT s.score FROM t_leaderboard_score s WHERE ${where}${orgSql} AND s.user_id = ? LIMIT 1`,
+        [...params, req.auth.subject_id]
+      );
+      if (mine.length) {
+        const [above] = await pool.execute(
+          `SELECT COUNT(*) AS above FROM t_leaderboard_score s WHERE ${where}${orgSql} AND s.score > ?`,
+          [...params, mine[0].score]
+        );
+        me = { user_id: req.auth.subject_id, rank: Number(above[0].above) + 1, score: Number(mine[0].score) };
+      } else {
+        me = { user_id: req.auth.subject_id, rank: null, score: 0 };
+      }
+    }
+
+    return ok(res, 'Get leaderboard successful', {
+      scope,
+      scope_id: resolved.scopeId,
+      period,
+      period_key: periodKey,
+      top,
+      me
+    });
+  } catch (e) { next(e); }
+});
+
+// POST /leaderboards/rebuild → คำนวณ rollup ใหม่ทั้งหมดจาก t_reward_event (ใช้ org/group ปัจจุบันของ user)
+app.post('/leaderboards/rebuild', protect('/leaderboards'), async (req, res, next) => {
+  try {
+    const day = 'COALESCE(e.activity_date, DATE(e.created_date))';
+    const periodKeys = {
+      [LEADERBOARD_PERIOD_WEEK]: `DATE_FORMAT(${day}, '%x-W%v')`,
+      [LEADERBOARD_PERIOD_MONTH]: `DATE_FORMAT(${day}, '%Y-%m')`,
+      [LEADERBOARD_PERIOD_ALL]: `'${LEADERBOARD_PERIOD_ALL}'`,
+    };
+    const scopeColumns = {
+      [LEADERBOARD_SCOPE_ORGANIZATION]: 'u.organization_id',
+      [LEADERBOARD_SCOPE_GROUP]: 'u.group_id',
+      [LEADERBOARD_SCOPE_COURSE]: 'e.course_id',
+    };
+
+    await withTransaction(async (conn) => {
+      await conn.execute(`DELETE FROM t_leaderboard_score`);
+      for (const scope of LEADERBOARD_SCOPES) {
+        for (const period of LEADERBOARD_PERIODS) {
+          await conn.execute(
+            `INSERT INTO t_leaderboard_score
+             (scope_type, scope_id, organization_id, period_type, period_key, user_id, score)
+             SELECT ?, ${scopeColumns[scope]}, u.organization_id, ?, ${periodKeys[period]}, e.user_id, SUM(e.exp)
+             FROM t_reward_event e
+             JOIN m_user u ON u.user_id = e.user_id
+             WHERE e.exp > 0 AND ${scopeColumns[scope]} IS NOT NULL
+             GROUP BY ${scopeColumns[scope]}, u.organization_id, ${periodKeys[period]}, e.user_id`,
+            [scope, period]
+          );
+        }
+      }
+    });
+
+    const [counts] = await pool.execute(`SELECT COUNT(*) AS total FROM t_leaderboard_score`);
+    return ok(res, 'Rebuild leaderboards successful', { row_count: Number(counts[0].total) });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Quests (ภารกิจรายวัน / รายสัปดาห์ นับ progress ที่ server ตอนเกิดกิจกรรม แล้วเริ่มใหม่ทุกรอบ)
+// =========================
+const QUEST_PERIOD_DAILY = 'daily';
+const QUEST_PERIOD_WEEKLY = 'weekly';
+const QUEST_PERIODS = [QUEST_PERIOD_DAILY, QUEST_PERIOD_WEEKLY];
+
+// goal_type → จำนวนที่เพิ่มจากกิจกรรมหนึ่งครั้ง
+// activity = { course_id, quiz?: { percent, passed }, review?: true, exp }
+const QUEST_GOALS = {
+  // min_percent (ถ้ามี) = นับเฉพาะ attempt ที่ได้คะแนนถึง เช่น "ได้ 80% สักวิชาในสัปดาห์นี้"
+  quizzes_submitted: (quest, activity) => (
+    activity.quiz && (quest.min_percent === null || activity.quiz.percent >= Number(quest.min_percent)) ? 1 : 0
+  ),
+  quizzes_passed: (quest, activity) => (activity.quiz?.passed === true ? 1 : 0),
+  perfect_scores: (quest, activity) => (activity.quiz && activity.quiz.percent >= 100 ? 1 : 0),
+  reviews_completed: (quest, activity) => (activity.review ? 1 : 0),
+  exp_earned: (quest, activity) => activity.exp || 0,
+};
+const QUEST_GOAL_TYPES = Object.keys(QUEST_GOALS);
+
+// column DATE ช่วงวันที่ (YYYY-MM-DD) → ข้อความ error หรือ null
+// PATCH ได้ค่าเดิมจาก DB เป็น Date → ตรวจเฉพาะค่าที่ส่งมาเป็น string
+function validateDateRange(row, fromField, toField) {
+  for (const f of [fromField, toField]) {
+    const v = row[f];
+    if (v !== undefined && v !== null && !(v instanceof Date) && !ANALYSIS_DATE_RE.test(String(v))) {
+      return `${f} must be YYYY-MM-DD`;
+    }
+  }
+  if (typeof row[fromField] === 'string' && typeof row[toField] === 'string' && row[fromField] > row[toField]) {
+    return `${fromField} must not be after ${toField}`;
+  }
+  return null;
+}
+
+function validateQuest(row) {
+  if (row.period_type !== undefined && !QUEST_PERIODS.includes(row.period_type)) {
+    return `period_type must be one of: ${QUEST_PERIODS.join(', ')}`;
+  }
+  if (row.goal_type !== undefined && !QUEST_GOAL_TYPES.includes(row.goal_type)) {
+    return `goal_type must be one of: ${QUEST_GOAL_TYPES.join(', ')}`;
+  }
+  if (row.goal_value !== undefined && !isPositiveInt(row.goal_value)) return 'goal_value must be a positive integer';
+
+  const minPercent = row.min_percent;
+  if (minPercent !== undefined && minPercent !== null) {
+    const n = Number(minPercent);
+    if (!Number.isFinite(n) || n <= 0 || n > 100) return 'min_percent must be between 0 and 100';
+    if (row.goal_type !== undefined && row.goal_type !== 'quizzes_submitted') {
+      return 'min_percent only applies to goal_type quizzes_submitted';
+    }
+  }
+  for (const f of ['reward_exp', 'reward_point']) {
+    if (row[f] !== undefined && row[f] !== null && !(Number.isInteger(Number(row[f])) && Number(row[f]) >= 0)) {
+      return `${f} must be a non-negative integer`;
+    }
+  }
+  if (row.course_id !== undefined && row.course_id !== null && !isPositiveInt(row.course_id)) {
+    return 'course_id must be a positive integer';
+  }
+  return validateDateRange(row, 'start_date', 'end_date');
+}
+
+function questPeriodKey(quest, day) {
+  return quest.period_type === QUEST_PERIOD_WEEKLY ? isoWeekKey(day) : day;
+}
+
+// วันแรกของรอบถัดไป (ตามเขตเวลาของ user): รายวัน = พรุ่งนี้, รายสัปดาห์ = วันจันทร์หน้า
+function questResetDate(quest, day) {
+  if (quest.period_type !== QUEST_PERIOD_WEEKLY) return addDays(day, 1);
+  const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(day, 7 - weekday);
+}
+
+// quest ที่เปิดอยู่ในวันนั้น (start_date / end_date ใช้ทำ challenge แบบมีช่วงเวลา)
+async function getActiveQuests(conn, day) {
+  const [rows] = await conn.execute(
+    `SELECT q.*, DATE_FORMAT(q.start_date, '%Y-%m-%d') AS start_day, DATE_FORMAT(q.end_date, '%Y-%m-%d') AS end_day
+     FROM m_quest q
+     WHERE (q.active_status IS NULL OR q.active_status <> 0)
+       AND (q.start_date IS NULL OR q.start_date <= ?)
+       AND (q.end_date IS NULL OR q.end_date >= ?)
+     ORDER BY q.sort_order ASC, q.quest_id ASC`,
+    [day, day]
+  );
+  return rows;
+}
+
+function toPublicQuest(quest, day, progress = null) {
+  const goal = Number(quest.goal_value);
+  const current = progress ? Number(progress.progress) : 0;
+  return {
+    quest_id: quest.quest_id,
+    quest_name: quest.quest_name,
+    quest_description: quest.quest_description ?? null,
+    period_type: quest.period_type,
+    period_key: questPeriodKey(quest, day),
+    goal_type: quest.goal_type,
+    goal_value: goal,
+    min_percent: quest.min_percent === null ? null : Number(quest.min_percent),
+    course_id: quest.course_id ?? null,
+    reward_exp: Number(quest.reward_exp || 0),
+    reward_point: Number(quest.reward_point || 0),
+    progress: current,
+    progress_percent: Math.min(100, Math.round((current / goal) * 100)),
+    completed: Boolean(progress?.completed_at),
+    completed_at: progress?.completed_at ?? null,
+    resets_on: questResetDate(quest, day),
+    end_date: quest.end_day ?? null
+  };
+}
+
+// เพิ่ม progress ของทุก quest ที่กิจกรรมนี้นับ (ต้องเรียกใน transaction) แล้วให้รางวัล quest ที่เพิ่งครบ
+// คืน { completed: [quest], rewards } (rewards = null ถ้าไม่มี quest ครบ)
+async function advanceQuests(conn, userId, activity) {
+  const day = localDate(await getUserTimeZone(conn, userId));
+  const quests = await getActiveQuests(conn, day);
+
+  const completed = [];
+  for (const quest of quests) {
+    if (quest.course_id && Number(quest.course_id) !== Number(activity.course_id)) continue;
+    const amount = QUEST_GOALS[quest.goal_type] ? QUEST_GOALS[quest.goal_type](quest, activity) : 0;
+    if (!amount) continue;
+
+    const periodKey = questPeriodKey(quest, day);
+    await conn.execute(
+      `INSERT INTO t_user_quest (user_id, quest_id, period_key, progress) VALUES (?, ?, ?, 0)
+       ON DUPLICATE KEY UPDATE progress = progress`,
+      [userId, quest.quest_id, periodKey]
+    );
+    const [rows] = await conn.execute(
+      `SELECT * FROM t_user_quest WHERE user_id = ? AND quest_id = ? AND period_key = ? LIMIT 1 FOR UPDATE`,
+      [userId, quest.quest_id, periodKey]
+    );
+    const row = rows[0];
+    if (row.completed_at) continue;
+
+    const goal = Number(quest.goal_value);
+    const progress = Math.min(goal, Number(row.progress) + amount);
+    const done = progress >= goal;
+    await conn.execute(
+      `UPDATE t_user_quest SET progress = ?, completed_at = IF(?, NOW(), NULL) WHERE user_quest_id = ?`,
+      [progress, done ? 1 : 0, row.user_quest_id]
+    );
+    if (done) completed.push({ quest, userQuestId: row.user_quest_id });
+  }
+  if (!completed.length) return { completed: [], rewards: null };
+
+  // ref_id = user_quest_id → ได้รางวัลครั้งเดียวต่อ quest ต่อรอบ
+  const rewards = await awardEvents(conn, userId, completed.map(({ quest, userQuestId }) => ({
+    event_code: REWARD_QUEST_COMPLETED,
+    ref_id: userQuestId,
+    course_id: quest.course_id ?? activity.course_id ?? null,
+    reward: { exp: Number(quest.reward_exp || 0), point: Number(quest.reward_point || 0) }
+  })));
+  const [progressRows] = await conn.query(
+    `SELECT * FROM t_user_quest WHERE user_quest_id IN (?)`,
+    [completed.map((c) => c.userQuestId)]
+  );
+  const byId = new Map(progressRows.map((r) => [Number(r.user_quest_id), r]));
+  return {
+    completed: completed.map(({ quest, userQuestId }) => toPublicQuest(quest, day, byId.get(Number(userQuestId)))),
+    rewards
+  };
+}
+
+// GET /me/quests → quest ที่เปิดอยู่ + progress ของรอบปัจจุบัน (ทำ progress bar)
+app.get('/me/quests', protect('/me/quests'), async (req, res, next) => {
+  try {
+    const userId = req.auth.subject_id;
+    const timeZone = await getUserTimeZone(pool, userId);
+    const day = localDate(timeZone);
+    const quests = await getActiveQuests(pool, day);
+
+    const progress = new Map();
+    if (quests.length) {
+      const [rows] = await pool.query(
+        `SELECT * FROM t_user_quest WHERE user_id = ? AND (quest_id, period_key) IN (?)`,
+        [userId, quests.map((q) => [q.quest_id, questPeriodKey(q, day)])]
+      );
+      rows.forEach((r) => progress.set(Number(r.quest_id), r));
+    }
+
+    return ok(res, 'Get quests successful', {
+      today: day,
+      time_zone: timeZone,
+      quests: quests.map((q) => toPublicQuest(q, day, progress.get(Number(q.quest_id))))
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Badges (moderator ตั้ง badge + เงื่อนไขปลดล็อก, server ตรวจเองทุกครั้งที่ attempt / score / stat เปลี่ยน)
+// =========================
+// unlock_rule (JSON):
+// - { "metric": "courses_completed", "min": 5 }
+// - { "all": [rule, ...] } หรือ { "any": [rule, ...] } ซ้อนได้ไม่เกิน BADGE_RULE_MAX_DEPTH ชั้น
+const BADGE_RULE_MAX_DEPTH = 3;
+
+async function badgeMetricValue(conn, sql, params) {
+  const [rows] = await conn.execute(sql, params);
+  return Number(rows[0]?.value ?? 0);
+}
+
+// metric → ค่าปัจจุบันของ user
+const BADGE_METRICS = {
+  exp: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COALESCE(MAX(exp), 0) AS value FROM t_user_stat WHERE user_id = ?`, [userId]),
+  level: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COALESCE(MAX(level), 0) AS value FROM t_user_stat WHERE user_id = ?`, [userId]),
+  // streak ที่เคยทำได้สูงสุด (ขาดไปแล้วก็ยังนับ)
+  streak: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COALESCE(MAX(GREATEST(COALESCE(streak, 0), longest_streak)), 0) AS value FROM t_user_stat WHERE user_id = ?`,
+    [userId]),
+  // attempt ของ duel ไม่นับเป็น quiz (badge ของ duel ใช้ duels_won)
+  quizzes_submitted: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(*) AS value FROM t_quiz_attempt WHERE user_id = ? AND status = ? AND duel_id IS NULL`,
+    [userId, ATTEMPT_SUBMITTED]),
+  quizzes_passed: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(DISTINCT quiz_id) AS value
+     FROM t_quiz_attempt
+     WHERE user_id = ? AND status = ? AND passed = 1 AND duel_id IS NULL`,
+    [userId, ATTEMPT_SUBMITTED]),
+  perfect_quizzes: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(DISTINCT quiz_id) AS value
+     FROM t_quiz_attempt
+     WHERE user_id = ? AND status = ? AND max_score > 0 AND score >= max_score AND duel_id IS NULL`,
+    [userId, ATTEMPT_SUBMITTED]),
+  subjects_completed: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(*) AS value FROM t_reward_event WHERE user_id = ? AND event_code = ?`,
+    [userId, REWARD_SUBJECT_COMPLETED]),
+  // course ที่ครบตาม completion_rule (t_user_course_score อัปเดตทุกครั้งที่ submit)
+  courses_completed: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(DISTINCT course_id) AS value FROM t_user_course_score WHERE user_id = ? AND is_completed = 1`,
+    [userId]),
+  course_score: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COALESCE(MAX(course_score), 0) AS value FROM t_user_course_score WHERE user_id = ?`, [userId]),
+  reviews_completed: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COUNT(*) AS value FROM t_review_log WHERE user_id = ?`, [userId]),
+  duels_won: (conn, userId) => badgeMetricValue(conn,
+    `SELECT COALESCE(MAX(duel_wins), 0) AS value FROM t_user_stat WHERE user_id = ?`, [userId]),
+};
+const BADGE_METRIC_NAMES = Object.keys(BADGE_METRICS);
+
+function parseBadgeRule(val) {
+  if (val && typeof val === 'object') return val;
+  if (typeof val !== 'string') return null;
+  try {
+    return JSON.parse(val);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ตรวจ + ตัด key ที่ไม่ใช้ทิ้ง → { rule } หรือ { error }
+function normalizeBadgeRule(rule, depth = 1) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return { error: 'unlock_rule must be a JSON object' };
+
+  if (rule.all !== undefined || rule.any !== undefined) {
+    if (rule.all !== undefined && rule.any !== undefined) return { error: 'unlock_rule cannot have both all and any' };
+    if (depth >= BADGE_RULE_MAX_DEPTH) return { error: `unlock_rule can nest at most ${BADGE_RULE_MAX_DEPTH} levels` };
+    const key = rule.all !== undefined ? 'all' : 'any';
+    if (!Array.isArray(rule[key]) || !rule[key].length) return { error: `unlock_rule.${key} must be a non-empty array` };
+
+    const children = [];
+    for (const child of rule[key]) {
+      const parsed = normalizeBadgeRule(child, depth + 1);
+      if (parsed.error) return parsed;
+      children.push(parsed.rule);
+    }
+    return { rule: { [key]: children } };
+  }
+
+  if (!BADGE_METRIC_NAMES.includes(rule.metric)) {
+    return { error: `unlock_rule.metric must be one of: ${BADGE_METRIC_NAMES.join(', ')}` };
+  }
+  const min = Number(rule.min);
+  if (!Number.isFinite(min) || min <= 0) return { error: 'unlock_rule.min must be a positive number' };
+  return { rule: { metric: rule.metric, min } };
+}
+
+function validateBadge(row) {
+  if (row.unlock_rule !== undefined) {
+    const parsed = normalizeBadgeRule(parseBadgeRule(row.unlock_rule));
+    if (parsed.error) return parsed.error;
+    row.unlock_rule = JSON.stringify(parsed.rule);
+  }
+  if (row.picture !== undefined && row.picture !== null && typeof row.picture !== 'string') {
+    return 'picture must be a string (image URL)';
+  }
+  return null;
+}
+
+function collectBadgeMetrics(rule, out = new Set()) {
+  const children = rule.all || rule.any;
+  if (children) children.forEach((child) => collectBadgeMetrics(child, out));
+  else out.add(rule.metric);
+  return out;
+}
+
+// โหลดเฉพาะ metric ที่ rule ใช้
+async function loadBadgeMetrics(conn, userId, rules) {
+  const names = new Set();
+  rules.forEach((rule) => collectBadgeMetrics(rule, names));
+  const values = {};
+  for (const name of names) values[name] = await BADGE_METRICS[name](conn, userId);
+  return values;
+}
+
+function isBadgeRuleMet(rule, values) {
+  if (rule.all) return rule.all.every((child) => isBadgeRuleMet(child, values));
+  if (rule.any) return rule.any.some((child) => isBadgeRuleMet(child, values));
+  return (values[rule.metric] ?? 0) >= rule.min;
+}
+
+function badgeProgress(rule, values) {
+  const key = rule.all ? 'all' : (rule.any ? 'any' : null);
+  if (key) {
+    return { [key]: rule[key].map((child) => badgeProgress(child, values)), met: isBadgeRuleMet(rule, values) };
+  }
+  const current = values[rule.metric] ?? 0;
+  return { metric: rule.metric, current, required: rule.min, met: current >= rule.min };
+}
+
+// rule ที่เสีย (แก้ตรงใน DB) ไม่ปลดล็อกให้ใคร
+function readBadgeRule(badge) {
+  const parsed = normalizeBadgeRule(parseBadgeRule(badge.unlock_rule));
+  return parsed.error ? null : parsed.rule;
+}
+
+// ไม่มี unlock_rule (เห็นเงื่อนไขผ่าน progress แทน)
+function toPublicBadge(badge) {
+  return {
+    badge_id: badge.badge_id,
+    badge_name: badge.badge_name,
+    badge_description: badge.badge_description ?? null,
+    picture: badge.picture ?? null,
+  };
+}
+
+// unlock_rule ให้ moderator เท่านั้น (role อื่นดู progress ผ่าน /users/:id/badges)
+function presentBadge(badge, req) {
+  if (req.auth.role === ROLE_MODERATOR) return badge;
+  const { unlock_rule, ...rest } = badge;
+  return rest;
+}
+
+const BADGE_RECHECK_BATCH = Number(process.env.BADGE_RECHECK_BATCH || 200);
+// งานตรวจ badge ย้อนหลังมีได้ทีละงาน, badge ที่ถูกแก้ระหว่างทำรอรอบถัดไป (แก้ซ้ำหลายครั้ง = ตรวจครั้งเดียว)
+const badgeRecheck = { running: false, pending: new Set() };
+
+// badge ใหม่ / แก้เงื่อนไข → ตรวจเฉพาะ badge นั้นให้ user ที่ยังไม่ได้ (ทำเบื้องหลัง ไม่รอ response)
+// นอกจากนี้ตรวจเฉพาะตอน submit attempt / review เท่านั้น (GET ไม่เปลี่ยน state)
+function queueBadgeRecheck(badge) {
+  if (badge.active_status !== null && Number(badge.active_status) === 0) return;
+  badgeRecheck.pending.add(Number(badge.badge_id));
+  if (badgeRecheck.running) return;
+
+  badgeRecheck.running = true;
+  (async () => {
+    while (badgeRecheck.pending.size) {
+      const [badgeId] = badgeRecheck.pending;
+      badgeRecheck.pending.delete(badgeId);
+      await recheckBadge(badgeId);
+    }
+  })()
+    .catch((err) => console.error('Recheck badges error:', err.message))
+    .finally(() => { badgeRecheck.running = false; });
+}
+
+// ไล่ user ที่ยังไม่ได้ badge ทีละ batch ตาม user_id, อ่าน rule ใหม่ทุก batch (ปิด badge ระหว่างทำ → หยุด)
+async function recheckBadge(badgeId) {
+  let afterId = 0;
+  for (;;) {
+    const [badges] = await pool.execute(
+      `SELECT * FROM m_badge WHERE badge_id = ? AND (active_status IS NULL OR active_status <> 0) LIMIT 1`,
+      [badgeId]
+    );
+    const rule = badges.length ? readBadgeRule(badges[0]) : null;
+    if (!rule) return;
+
+    const [users] = await pool.query(
+      `SELECT s.user_id
+       FROM t_user_stat s
+       WHERE s.user_id > ?
+         AND NOT EXISTS (SELECT 1 FROM t_user_badge ub WHERE ub.badge_id = ? AND ub.user_id = s.user_id)
+       ORDER BY s.user_id ASC
+       LIMIT ?`,
+      [afterId, badgeId, BADGE_RECHECK_BATCH]
+    );
+    if (!users.length) return;
+
+    for (const u of users) {
+      const values = await loadBadgeMetrics(pool, u.user_id, [rule]);
+      if (isBadgeRuleMet(rule, values)) await grantBadge(pool, u.user_id, badges[0], rule, values);
+    }
+    afterId = users[users.length - 1].user_id;
+  }
+}
+
+// unique (user_id, badge_id) กันได้ซ้ำตอนตรวจพร้อมกัน → true ถ้าเพิ่งได้
+async function grantBadge(conn, userId, badge, rule, values) {
+  const [result] = await conn.execute(
+    `INSERT IGNORE INTO t_user_badge (user_id, badge_id, unlock_snapshot) VALUES (?, ?, ?)`,
+    [userId, badge.badge_id, JSON.stringify(badgeProgress(rule, values))]
+  );
+  return result.affectedRows > 0;
+}
+
+// ตรวจ badge ที่ user ยังไม่ได้ → บันทึกอันที่ผ่านเงื่อนไข, คืน badge ที่เพิ่งได้
+async function checkBadges(conn, userId) {
+  const [badges] = await conn.execute(
+    `SELECT b.*
+     FROM m_badge b
+     WHERE (b.active_status IS NULL OR b.active_status <> 0)
+       AND NOT EXISTS (SELECT 1 FROM t_user_badge ub WHERE ub.badge_id = b.badge_id AND ub.user_id = ?)
+     ORDER BY b.sort_order ASC, b.badge_id ASC`,
+    [userId]
+  );
+  const candidates = badges
+    .map((badge) => ({ badge, rule: readBadgeRule(badge) }))
+    .filter((c) => c.rule);
+  if (!candidates.length) return [];
+
+  const values = await loadBadgeMetrics(conn, userId, candidates.map((c) => c.rule));
+  const earned = [];
+  for (const { badge, rule } of candidates) {
+    if (isBadgeRuleMet(rule, values) && await grantBadge(conn, userId, badge, rule, values)) {
+      earned.push(toPublicBadge(badge));
+    }
+  }
+  return earned;
+}
+
+// GET /users/:id/badges → badge ที่ได้แล้ว (เรียงตามวันที่ได้) + ที่ยังล็อกอยู่พร้อม progress
+// user ดูได้ของตัวเองและเพื่อนใน organization เดียวกัน
+// ต้องประกาศก่อน mount CRUD ของ /users
+app.get('/users/:id/badges', protect('/users/:id/badges'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const user = await findViewableUser(req, Number(req.params.id), { allowPeers: true });
+    if (!user) return fail(res, 'User not found', 404);
+    const userId = Number(user.user_id);
+
+    const [rows] = await pool.execute(
+      `SELECT b.*, ub.earned_date, ub.unlock_snapshot
+       FROM m_badge b
+       LEFT JOIN t_user_badge ub ON ub.badge_id = b.badge_id AND ub.user_id = ?
+       WHERE ub.user_badge_id IS NOT NULL OR b.active_status IS NULL OR b.active_status <> 0
+       ORDER BY b.sort_order ASC, b.badge_id ASC`,
+      [userId]
+    );
+
+    const earned = rows
+      .filter((r) => r.earned_date)
+      .sort((a, b) => new Date(a.earned_date) - new Date(b.earned_date))
+      .map((r) => ({ ...toPublicBadge(r), earned_date: r.earned_date, progress: parseBadgeRule(r.unlock_snapshot) }));
+
+    const locked = rows
+      .filter((r) => !r.earned_date)
+      .map((r) => ({ badge: r, rule: readBadgeRule(r) }))
+      .filter((c) => c.rule);
+    const values = await loadBadgeMetrics(pool, userId, locked.map((c) => c.rule));
+
+    return ok(res, 'Get user badges successful', {
+      user_id: userId,
+      earned,
+      locked: locked.map((c) => ({ ...toPublicBadge(c.badge), progress: badgeProgress(c.rule, values) }))
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Mascots (ตัวละครประจำ course + รูปตามอารมณ์ เลือกอารมณ์จากผลสอบล่าสุดของผู้เรียน)
+// =========================
+const MASCOT_MOOD_NEUTRAL = 'neutral';
+const MASCOT_MOOD_HAPPY = 'happy';
+const MASCOT_MOOD_SAD = 'sad';
+const MASCOT_MOOD_CELEBRATING = 'celebrating';
+const MASCOT_MOODS = [MASCOT_MOOD_NEUTRAL, MASCOT_MOOD_HAPPY, MASCOT_MOOD_SAD, MASCOT_MOOD_CELEBRATING];
+const MASCOT_FIELDS = ['mascot_name', 'mascot_description', 'picture', 'active_status'];
+const MASCOT_REQUIRED = ['mascot_name'];
+// ผลสอบล่าสุดกี่ครั้งใน course ที่ใช้ตัดสินอารมณ์
+const MASCOT_RECENT_ATTEMPTS = 5;
+// quiz ที่ไม่มี passing_score: ได้ตั้งแต่ % นี้ถือว่าทำได้ดี
+const MASCOT_WIN_PERCENT = 60;
+
+// { happy: 'url' } หรือ { happy: { picture, message } } → { rows: [[mood, picture, message]] } หรือ { error }
+function normalizeMascotMoods(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'moods must be an object keyed by mood' };
+  const rows = [];
+  for (const [mood, value] of Object.entries(input)) {
+    if (!MASCOT_MOODS.includes(mood)) return { error: `mood must be one of: ${MASCOT_MOODS.join(', ')}` };
+    const asset = typeof value === 'string' ? { picture: value } : value;
+    if (!asset || typeof asset !== 'object' || typeof asset.picture !== 'string' || !asset.picture.trim()) {
+      return { error: `moods.${mood}.picture is required` };
+    }
+    if (asset.message !== undefined && asset.message !== null && typeof asset.message !== 'string') {
+      return { error: `moods.${mood}.message must be a string` };
+    }
+    rows.push([mood, asset.picture.trim(), asset.message ?? null]);
+  }
+  return { rows };
+}
+
+async function attachMascotMoods(rows, conn = pool) {
+  if (!rows.length) return rows;
+  const [moods] = await conn.query(
+    `SELECT mascot_id, mood, picture, message FROM t_mascot_mood WHERE mascot_id IN (?)`,
+    [rows.map((r) => r.mascot_id)]
+  );
+  return rows.map((r) => ({
+    ...r,
+    moods: Object.fromEntries(
+      moods
+        .filter((m) => m.mascot_id === r.mascot_id)
+        .map((m) => [m.mood, { picture: m.picture, message: m.message ?? null }])
+    )
+  }));
+}
+
+async function getMascot(mascotId, conn = pool) {
+  const [rows] = await conn.execute(`SELECT * FROM m_mascot WHERE mascot_id = ? LIMIT 1`, [mascotId]);
+  return rows[0] || null;
+}
+
+// แทนที่รูปตามอารมณ์ทั้งชุด
+async function saveMascotMoods(conn, mascotId, rows) {
+  await conn.execute(`DELETE FROM t_mascot_mood WHERE mascot_id = ?`, [mascotId]);
+  if (!rows.length) return;
+  await conn.query(
+    `INSERT INTO t_mascot_mood (mascot_id, mood, picture, message) VALUES ?`,
+    [rows.map(([mood, picture, message]) => [mascotId, mood, picture, message])]
+  );
+}
+
+function isPerfectResult(result) {
+  return Number(result.max_score) > 0 && Number(result.score) >= Number(result.max_score);
+}
+
+function isWinningResult(result) {
+  if (result.passed !== null && result.passed !== undefined) return Number(result.passed) === 1;
+  return scorePercent(result.score, result.max_score) >= MASCOT_WIN_PERCENT;
+}
+
+// latest = ผลที่กำลังแสดง, recent = ผลล่าสุดใน course (มาก → น้อย), highlight = level up / badge / quest
+function pickMascotMood(latest, recent = [], highlight = false) {
+  if (!latest) return MASCOT_MOOD_NEUTRAL;
+  if (highlight || isPerfectResult(latest)) return MASCOT_MOOD_CELEBRATING;
+  if (isWinningResult(latest)) return MASCOT_MOOD_HAPPY;
+  // พลาดครั้งนี้แต่ช่วงหลังทำได้ดีเป็นส่วนใหญ่ → ยังไม่เศร้า
+  const wins = recent.filter(isWinningResult).length;
+  return wins * 2 > recent.length ? MASCOT_MOOD_NEUTRAL : MASCOT_MOOD_SAD;
+}
+
+// รูปของอารมณ์ที่เลือก (ไม่มี → รูป neutral → รูปหลักของ mascot)
+function mascotView(mascot, mood) {
+  const asset = mascot.moods[mood] || mascot.moods[MASCOT_MOOD_NEUTRAL] || null;
+  return {
+    mascot_id: mascot.mascot_id,
+    mascot_name: mascot.mascot_name,
+    mood,
+    picture: asset ? asset.picture : (mascot.picture ?? null),
+    message: asset && mascot.moods[mood] ? asset.message : null
+  };
+}
+
+async function getCourseMascot(courseId) {
+  const [rows] = await pool.execute(
+    `SELECT m.*
+     FROM m_course c
+     JOIN m_mascot m ON m.mascot_id = c.mascot_id
+     WHERE c.course_id = ? AND (m.active_status IS NULL OR m.active_status <> 0)
+     LIMIT 1`,
+    [courseId]
+  );
+  if (!rows.length) return null;
+  const [mascot] = await attachMascotMoods(rows);
+  return mascot;
+}
+
+async function recentCourseResults(userId, courseId) {
+  const [rows] = await pool.query(
+    `SELECT a.attempt_id, a.score, a.max_score, a.passed
+     FROM t_quiz_attempt a
+     JOIN m_quiz z ON z.quiz_id = a.quiz_id
+     JOIN m_subject s ON s.subject_id = z.subject_id
+     WHERE a.user_id = ? AND s.course_id = ? AND a.status = ? AND a.duel_id IS NULL
+     ORDER BY a.submitted_at DESC, a.attempt_id DESC
+     LIMIT ?`,
+    [userId, courseId, ATTEMPT_SUBMITTED, MASCOT_RECENT_ATTEMPTS]
+  );
+  return rows;
+}
+
+// mascot ของ course ที่ attempt อยู่ + อารมณ์ตามผลของ attempt นั้น (course ไม่มี mascot → null)
+async function attemptMascot(attempt, highlight = false) {
+  const courseId = await getQuizCourseId(pool, attempt.quiz_id);
+  const mascot = courseId ? await getCourseMascot(courseId) : null;
+  if (!mascot) return null;
+  const recent = await recentCourseResults(attempt.user_id, courseId);
+  return mascotView(mascot, pickMascotMood(attempt, recent, highlight));
+}
+
+const mascotRouter = express.Router();
+
+// List
+mascotRouter.get('/', async (req, res, next) => {
+  try {
+    const [rows] = await pool.execute(`SELECT * FROM m_mascot ORDER BY mascot_id DESC`);
+    return ok(res, 'Get mascots successful', await attachMascotMoods(rows));
+  } catch (e) { next(e); }
+});
+
+// Get by id (+ course ที่ใช้อยู่)
+mascotRouter.get('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const mascot = await getMascot(req.params.id);
+    if (!mascot) return fail(res, 'Mascot not found', 404);
+
+    const [courses] = await pool.execute(
+      `SELECT course_id FROM m_course WHERE mascot_id = ? ORDER BY course_id`,
+      [mascot.mascot_id]
+    );
+    const [withMoods] = await attachMascotMoods([mascot]);
+    return ok(res, 'Get mascot successful', { ...withMoods, course_ids: courses.map((c) => c.course_id) });
+  } catch (e) { next(e); }
+});
+
+// Create ({ ..., moods: { happy: { picture, message } } })
+mascotRouter.post('/', async (req, res, next) => {
+  try {
+    const payload = {};
+    for (const f of MASCOT_FIELDS) if (f in req.body) payload[f] = req.body[f];
+
+    const missing = MASCOT_REQUIRED.filter((f) => payload[f] === undefined || payload[f] === null || payload[f] === '');
+    if (missing.length) return fail(res, `Missing required: ${missing.join(', ')}`, 400);
+
+    const moods = req.body.moods === undefined ? { rows: [] } : normalizeMascotMoods(req.body.moods);
+    if (moods.error) return fail(res, moods.error, 400);
+
+    const id = await withTransaction(async (conn) => {
+      const cols = Object.keys(payload);
+      const [result] = await conn.execute(
+        `INSERT INTO m_mascot (${cols.join(',')}) VALUES (${cols.map(() => '?').join(',')})`,
+        Object.values(payload)
+      );
+      await saveMascotMoods(conn, result.insertId, moods.rows);
+      return result.insertId;
+    });
+
+    const [created] = await attachMascotMoods([await getMascot(id)]);
+    return ok(res, 'Create mascot successful', created, 201);
+  } catch (e) { next(e); }
+});
+
+// PATCH (ส่ง moods = แทนที่ทั้งชุด)
+mascotRouter.patch('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const patch = {};
+    for (const f of MASCOT_FIELDS) if (f in req.body) patch[f] = req.body[f];
+    const hasMoods = 'moods' in req.body;
+    if (!Object.keys(patch).length && !hasMoods) return fail(res, 'No updatable fields', 400);
+    if ('mascot_name' in patch && !patch.mascot_name) return fail(res, 'mascot_name cannot be empty', 400);
+
+    const moods = hasMoods ? normalizeMascotMoods(req.body.moods) : null;
+    if (moods && moods.error) return fail(res, moods.error, 400);
+
+    const found = await withTransaction(async (conn) => {
+      const mascot = await getMascot(req.params.id, conn);
+      if (!mascot) return false;
+      if (Object.keys(patch).length) {
+        const sets = Object.keys(patch).map((k) => `${k} = ?`).join(', ');
+        await conn.execute(`UPDATE m_mascot SET ${sets} WHERE mascot_id = ?`, [...Object.values(patch), mascot.mascot_id]);
+      }
+      if (moods) await saveMascotMoods(conn, mascot.mascot_id, moods.rows);
+      return true;
+    });
+    if (!found) return fail(res, 'Mascot not found', 404);
+
+    const [updated] = await attachMascotMoods([await getMascot(req.params.id)]);
+    return ok(res, 'Update mascot successful', updated);
+  } catch (e) { next(e); }
+});
+
+// Delete (ถ้ามี course ใช้อยู่ให้ปิดด้วย active_status = 0 แทน)
+mascotRouter.delete('/:id', async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const mascot = await getMascot(req.params.id);
+    if (!mascot) return fail(res, 'Mascot not found', 404);
+
+    const [courses] = await pool.execute(`SELECT course_id FROM m_course WHERE mascot_id = ? LIMIT 1`, [mascot.mascot_id]);
+    if (courses.length) return fail(res, 'Mascot is used by courses, set active_status = 0 instead', 409);
+
+    await withTransaction(async (conn) => {
+      await conn.execute(`DELETE FROM t_mascot_mood WHERE mascot_id = ?`, [mascot.mascot_id]);
+      await conn.execute(`DELETE FROM m_mascot WHERE mascot_id = ?`, [mascot.mascot_id]);
+    });
+    return ok(res, 'Delete mascot successful', mascot);
+  } catch (e) { next(e); }
+});
+
+app.use('/mascots', protect('/mascots'), mascotRouter);
+
+// GET /courses/:id (+ mascot ตามผลล่าสุดของผู้เรียนใน course นี้)
+// ต้องประกาศก่อน mount CRUD ของ /courses
+app.get('/courses/:id', protect('/courses'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400, null);
+
+    const [rows] = await pool.execute(`SELECT * FROM m_course WHERE course_id = ? LIMIT 1`, [req.params.id]);
+    if (!rows.length) return fail(res, 'Not found', 404, null);
+    const course = rows[0];
+
+    let mascot = null;
+    const courseMascot = await getCourseMascot(course.course_id);
+    if (courseMascot) {
+      const recent = req.auth.role === ROLE_USER ? await recentCourseResults(req.auth.subject_id, course.course_id) : [];
+      mascot = mascotView(courseMascot, pickMascotMood(recent[0], recent));
+    }
+    return ok(res, 'Get m_course successful', { ...course, mascot });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Quiz duels (ท้าเพื่อนใน organization เดียวกัน ทำชุดคำถามเดียวกันภายในเวลาที่กำหนด)
+// =========================
+// pending = รอคู่แข่งเริ่มทำ, active = คู่แข่งเริ่มแล้ว, completed = ตัดสินแล้ว
+// declined = คู่แข่งปฏิเสธ, expired = หมดเวลาโดยคู่แข่งไม่ได้เล่น
+const DUEL_PENDING = 'pending';
+const DUEL_ACTIVE = 'active';
+const DUEL_COMPLETED = 'completed';
+const DUEL_DECLINED = 'declined';
+const DUEL_EXPIRED = 'expired';
+const DUEL_STATUSES = [DUEL_PENDING, DUEL_ACTIVE, DUEL_COMPLETED, DUEL_DECLINED, DUEL_EXPIRED];
+const DUEL_OPEN_STATUSES = [DUEL_PENDING, DUEL_ACTIVE];
+const DUEL_RESULT_CHALLENGER = 'challenger';
+const DUEL_RESULT_OPPONENT = 'opponent';
+const DUEL_RESULT_DRAW = 'draw';
+const DUEL_SIDES = [DUEL_RESULT_CHALLENGER, DUEL_RESULT_OPPONENT];
+const DUEL_DEFAULT_HOURS = 24;
+const DUEL_MAX_HOURS = 168;
+// รางวัล duel ต่อวัน (วันตามเขตเวลาของ user): รวมทุกคู่ / คู่เดิม
+const DUEL_REWARD_DAILY_LIMIT = Number(process.env.DUEL_REWARD_DAILY_LIMIT || 5);
+const DUEL_REWARD_PAIR_DAILY_LIMIT = Number(process.env.DUEL_REWARD_PAIR_DAILY_LIMIT || 1);
+
+const DUEL_SELECT = `SELECT d.duel_id, d.quiz_id, d.organization_id, d.challenger_id, d.opponent_id, d.status, d.result,
+       d.winner_id, d.max_score, d.deadline_at, d.created_date, d.completed_at,
+       d.challenger_attempt_id, d.opponent_attempt_id, d.deadline_at < NOW() AS is_expired,
+       ca.status AS challenger_attempt_status, ca.score AS challenger_score,
+       TIMESTAMPDIFF(SECOND, ca.started_at, ca.submitted_at) AS challenger_seconds,
+       oa.status AS opponent_attempt_status, oa.score AS opponent_score,
+       TIMESTAMPDIFF(SECOND, oa.started_at, oa.submitted_at) AS opponent_seconds
+  FROM t_quiz_duel d
+  LEFT JOIN t_quiz_attempt ca ON ca.attempt_id = d.challenger_attempt_id
+  LEFT JOIN t_quiz_attempt oa ON oa.attempt_id = d.opponent_attempt_id`;
+
+async function getDuel(duelId, conn = pool) {
+  const [rows] = await conn.execute(`${DUEL_SELECT} WHERE d.duel_id = ? LIMIT 1`, [duelId]);
+  return rows[0] || null;
+}
+
+function duelSide(duel, userId) {
+  if (Number(duel.challenger_id) === Number(userId)) return DUEL_RESULT_CHALLENGER;
+  if (Number(duel.opponent_id) === Number(userId)) return DUEL_RESULT_OPPONENT;
+  return null;
+}
+
+// คะแนนมากกว่าชนะ, คะแนนเท่ากันใช้เวลาน้อยกว่าชนะ, เท่ากันทั้งคู่ = เสมอ
+// ผลของฝั่งที่ไม่ได้ส่ง = null: ผู้ท้าไม่ส่ง → แพ้, คู่แข่งไม่ได้เล่น → ไม่มีผล (null)
+function decideDuel(challenger, opponent) {
+  if (!opponent) return null;
+  if (!challenger) return DUEL_RESULT_OPPONENT;
+
+  const scoreDiff = Number(challenger.score) - Number(opponent.score);
+  if (scoreDiff) return scoreDiff > 0 ? DUEL_RESULT_CHALLENGER : DUEL_RESULT_OPPONENT;
+  const timeDiff = Number(challenger.seconds) - Number(opponent.seconds);
+  if (timeDiff) return timeDiff < 0 ? DUEL_RESULT_CHALLENGER : DUEL_RESULT_OPPONENT;
+  return DUEL_RESULT_DRAW;
+}
+
+// รางวัล duel ที่ user ได้ไปแล้ววันนี้ ยังไม่เกินโควตา (กันตั้ง duel กับเพื่อนแล้วส่งเปล่าวนเก็บ point)
+async function isDuelRewardAllowed(conn, userId, duel) {
+  const otherId = Number(duel.challenger_id) === Number(userId) ? duel.opponent_id : duel.challenger_id;
+  const [[count]] = await conn.query(
+    `SELECT COUNT(*) AS total,
+            COALESCE(SUM(d.challenger_id = ? OR d.opponent_id = ?), 0) AS with_pair
+     FROM t_reward_event r
+     JOIN t_quiz_duel d ON d.duel_id = r.ref_id
+     WHERE r.user_id = ? AND r.event_code IN (?) AND r.activity_date = ?`,
+    [otherId, otherId, userId, [REWARD_DUEL_WON, REWARD_DUEL_DRAW], localDate(await getUserTimeZone(conn, userId))]
+  );
+  return Number(count.total) < DUEL_REWARD_DAILY_LIMIT && Number(count.with_pair) < DUEL_REWARD_PAIR_DAILY_LIMIT;
+}
+
+// บันทึกสถิติชนะ/แพ้/เสมอ + รางวัล (point ผ่าน ledger ใน awardEvents) สถิตินับทุก duel, รางวัลตามโควตารายวัน
+async function recordDuelResult(conn, duel, result, courseId) {
+  for (const side of DUEL_SIDES) {
+    const userId = duel[`${side}_id`];
+    const column = result === DUEL_RESULT_DRAW ? 'duel_draws' : (result === side ? 'duel_wins' : 'duel_losses');
+    const stat = await ensureUserStat(conn, userId);
+    await conn.execute(`UPDATE t_user_stat SET ${column} = ${column} + 1 WHERE stat_id = ?`, [stat.stat_id]);
+
+    const eventCode = result === DUEL_RESULT_DRAW ? REWARD_DUEL_DRAW : (result === side ? REWARD_DUEL_WON : null);
+    if (eventCode && await isDuelRewardAllowed(conn, userId, duel)) {
+      await awardEvents(conn, userId, [{ event_code: eventCode, ref_id: duel.duel_id, course_id: courseId }]);
+    }
+  }
+}
+
+// ตัดสิน duel เมื่อส่งครบทั้งสองฝั่ง หรือหมดเวลาแล้ว (เรียกใน transaction)
+// คืน { duel, badges: { [user_id]: badge ที่เพิ่งได้ } } หรือ null ถ้ายังตัดสินไม่ได้ / ปิดไปก่อนแล้ว
+async function settleDuel(conn, duelId) {
+  const [duels] = await conn.execute(
+    `SELECT *, deadline_at < NOW() AS is_expired FROM t_quiz_duel WHERE duel_id = ? LIMIT 1 FOR UPDATE`,
+    [duelId]
+  );
+  const duel = duels[0];
+  if (!duel || !DUEL_OPEN_STATUSES.includes(duel.status)) return null;
+
+  // locking read → เห็นผลของอีกฝั่งที่เพิ่ง commit
+  const results = {};
+  for (const side of DUEL_SIDES) {
+    const attemptId = duel[`${side}_attempt_id`];
+    if (!attemptId) continue;
+    const [rows] = await conn.execute(
+      `SELECT status, score, TIMESTAMPDIFF(SECOND, started_at, submitted_at) AS seconds
+       FROM t_quiz_attempt WHERE attempt_id = ? LIMIT 1 FOR UPDATE`,
+      [attemptId]
+    );
+    if (rows.length) results[side] = rows[0];
+  }
+  const submitted = (side) => (results[side]?.status === ATTEMPT_SUBMITTED ? results[side] : null);
+
+  if (!submitted(DUEL_RESULT_CHALLENGER) || !submitted(DUEL_RESULT_OPPONENT)) {
+    if (!Number(duel.is_expired)) return null;
+    // attempt ที่ยังค้างอยู่จะถูกปิดโดย closeExpiredAttempts แล้วค่อยตัดสิน
+    if (DUEL_SIDES.some((side) => results[side]?.status === ATTEMPT_IN_PROGRESS)) return null;
+  }
+
+  const result = decideDuel(submitted(DUEL_RESULT_CHALLENGER), submitted(DUEL_RESULT_OPPONENT));
+  const status = result ? DUEL_COMPLETED : DUEL_EXPIRED;
+  const winnerId = result && result !== DUEL_RESULT_DRAW ? duel[`${result}_id`] : null;
+  await conn.execute(
+    `UPDATE t_quiz_duel SET status = ?, result = ?, winner_id = ?, completed_at = NOW() WHERE duel_id = ?`,
+    [status, result, winnerId, duel.duel_id]
+  );
+  // สถิติ duel เปลี่ยนทั้งสองฝั่ง → ตรวจ badge ของทั้งคู่ (อีกฝั่งอาจไม่ได้เป็นคนส่ง)
+  const badges = {};
+  if (result) {
+    await recordDuelResult(conn, duel, result, await getQuizCourseId(conn, duel.quiz_id));
+    for (const side of DUEL_SIDES) badges[duel[`${side}_id`]] = await checkBadges(conn, duel[`${side}_id`]);
+  }
+
+  return { duel: { duel_id: duel.duel_id, status, result, winner_id: winnerId }, badges };
+}
+
+// ปิด duel ที่หมดเวลาแล้ว (attempt ที่ค้างถูกปิดโดย closeExpiredAttempts ก่อน)
+async function closeExpiredDuels() {
+  const [rows] = await pool.query(
+    `SELECT duel_id FROM t_quiz_duel WHERE status IN (?) AND deadline_at < NOW() LIMIT 100`,
+    [DUEL_OPEN_STATUSES]
+  );
+  for (const row of rows) {
+    await withTransaction((conn) => settleDuel(conn, row.duel_id));
+  }
+  return rows.length;
+}
+
+// คะแนนของอีกฝั่งซ่อนไว้จนกว่าผู้ดูจะส่งของตัวเองแล้ว (หรือ duel ปิดแล้ว)
+function toPublicDuel(duel, viewerId = null) {
+  const viewerSide = viewerId ? duelSide(duel, viewerId) : null;
+  const closed = !DUEL_OPEN_STATUSES.includes(duel.status);
+  const viewerDone = viewerSide && duel[`${viewerSide}_attempt_status`] === ATTEMPT_SUBMITTED;
+
+  const participant = (side) => {
+    const done = duel[`${side}_attempt_status`] === ATTEMPT_SUBMITTED;
+    const visible = done && (closed || !viewerSide || viewerSide === side || viewerDone);
+    return {
+      user_id: duel[`${side}_id`],
+      attempt_id: duel[`${side}_attempt_id`] ?? null,
+      attempt_status: duel[`${side}_attempt_status`] ?? null,
+      score: visible ? Number(duel[`${side}_score`]) : null,
+      seconds: visible ? Number(duel[`${side}_seconds`]) : null
+    };
+  };
+
+  return {
+    duel_id: duel.duel_id,
+    quiz_id: duel.quiz_id,
+    status: duel.status,
+    result: duel.result ?? null,
+    winner_id: duel.winner_id ?? null,
+    max_score: Number(duel.max_score),
+    deadline_at: duel.deadline_at,
+    created_date: duel.created_date,
+    completed_at: duel.completed_at ?? null,
+    challenger: participant(DUEL_RESULT_CHALLENGER),
+    opponent: participant(DUEL_RESULT_OPPONENT),
+    your_side: viewerSide
+  };
+}
+
+async function getDuelRecord(userId, conn = pool) {
+  const [rows] = await conn.execute(
+    `SELECT duel_wins, duel_losses, duel_draws FROM t_user_stat WHERE user_id = ? LIMIT 1`,
+    [userId]
+  );
+  const stat = rows[0] || {};
+  const record = {
+    wins: Number(stat.duel_wins || 0),
+    losses: Number(stat.duel_losses || 0),
+    draws: Number(stat.duel_draws || 0)
+  };
+  return { ...record, played: record.wins + record.losses + record.draws };
+}
+
+// user เห็นเฉพาะ duel ที่ตัวเองอยู่, organization เห็นใน org, moderator เห็นทั้งหมด
+function duelScopeWhere(req) {
+  if (req.auth.role === ROLE_USER) {
+    return { sql: ' AND (d.challenger_id = ? OR d.opponent_id = ?)', params: [req.auth.subject_id, req.auth.subject_id] };
+  }
+  if (req.auth.role === ROLE_ORGANIZATION) return { sql: ' AND d.organization_id = ?', params: [req.auth.organization_id] };
+  return { sql: '', params: [] };
+}
+
+// POST /duels { quiz_id, opponent_id, deadline_hours? } → สุ่มชุดคำถามครั้งเดียวให้ทั้งสองฝั่ง
+app.post('/duels', protect('/duels'), async (req, res, next) => {
+  try {
+    const challengerId = req.auth.subject_id;
+    const { quiz_id: quizId, opponent_id: opponentId } = req.body || {};
+    if (!isPositiveInt(quizId)) return fail(res, 'quiz_id is required', 400);
+    if (!isPositiveInt(opponentId)) return fail(res, 'opponent_id is required', 400);
+    if (Number(opponentId) === challengerId) return fail(res, 'Cannot challenge yourself', 400);
+    const hours = req.body.deadline_hours === undefined ? DUEL_DEFAULT_HOURS : Number(req.body.deadline_hours);
+    if (!isPositiveInt(hours) || hours > DUEL_MAX_HOURS) {
+      return fail(res, `deadline_hours must be between 1 and ${DUEL_MAX_HOURS}`, 400);
+    }
+
+    const orgId = req.auth.organization_id;
+    if (!orgId || !(await isUserInOrganization(opponentId, orgId))) {
+      return fail(res, 'Opponent must be in your organization', 403);
+    }
+
+    const quiz = await getQuizById(quizId);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+    if (quiz.active_status === 0) return fail(res, 'Quiz inactive', 403);
+    // adaptive เลือกข้อตามคำตอบของแต่ละคน → ใช้ชุดคำถามเดียวกันไม่ได้
+    if (toFlag(quiz.adaptive_mode) === 1) return fail(res, 'Adaptive quizzes cannot be used for duels', 400);
+
+    const duelId = await withTransaction(async (conn) => {
+      const picked = await drawQuizQuestions(conn, quiz);
+      if (!picked) return null;
+      const maxScore = picked.reduce((sum, p) => sum + questionPoints(p.question), 0);
+
+      const [result] = await conn.execute(
+        `INSERT INTO t_quiz_duel
+         (quiz_id, organization_id, challenger_id, opponent_id, status, question_set, max_score, deadline_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+        [quiz.quiz_id, orgId, challengerId, opponentId, DUEL_PENDING, JSON.stringify(picked), maxScore, hours]
+      );
+      return result.insertId;
+    });
+    if (!duelId) return fail(res, 'Quiz has no questions', 400);
+    return ok(res, 'Create duel successful', toPublicDuel(await getDuel(duelId), challengerId), 201);
+  } catch (e) { next(e); }
+});
+
+// GET /duels?status= → duel ของผู้เรียก (user ได้สถิติชนะ/แพ้ของตัวเองด้วย)
+app.get('/duels', protect('/duels'), async (req, res, next) => {
+  try {
+    const scope = duelScopeWhere(req);
+    const where = [`1 = 1${scope.sql}`];
+    const params = [...scope.params];
+    if (req.query.status !== undefined) {
+      if (!DUEL_STATUSES.includes(req.query.status)) return fail(res, `status must be one of: ${DUEL_STATUSES.join(', ')}`, 400);
+      where.push('d.status = ?');
+      params.push(req.query.status);
+    }
+
+    const [rows] = await pool.execute(`${DUEL_SELECT} WHERE ${where.join(' AND ')} ORDER BY d.duel_id DESC`, params);
+    const viewerId = req.auth.role === ROLE_USER ? req.auth.subject_id : null;
+    return ok(res, 'Get duels successful', {
+      record: viewerId ? await getDuelRecord(viewerId) : null,
+      duels: rows.map((d) => toPublicDuel(d, viewerId))
+    });
+  } catch (e) { next(e); }
+});
+
+// GET /duels/:id
+app.get('/duels/:id', protect('/duels'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const scope = duelScopeWhere(req);
+    const [rows] = await pool.execute(
+      `${DUEL_SELECT} WHERE d.duel_id = ?${scope.sql} LIMIT 1`,
+      [req.params.id, ...scope.params]
+    );
+    if (!rows.length) return fail(res, 'Duel not found', 404);
+
+    const viewerId = req.auth.role === ROLE_USER ? req.auth.subject_id : null;
+    return ok(res, 'Get duel successful', toPublicDuel(rows[0], viewerId));
+  } catch (e) { next(e); }
+});
+
+// POST /duels/:id/attempts → เริ่ม attempt ของฝั่งตัวเองด้วยชุดคำถามของ duel
+// จากนั้นใช้ /quiz-attempts/:id/answers, /submit ตามปกติ (ส่งแล้วตัดสินอัตโนมัติเมื่อครบสองฝั่ง)
+app.post('/duels/:id/attempts', protect('/duels'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const userId = req.auth.subject_id;
+
+    const started = await withTransaction(async (conn) => {
+      const [duels] = await conn.execute(
+        `SELECT *, deadline_at < NOW() AS is_expired FROM t_quiz_duel WHERE duel_id = ? LIMIT 1 FOR UPDATE`,
+        [req.params.id]
+      );
+      const duel = duels[0];
+      const side = duel ? duelSide(duel, userId) : null;
+      if (!side) return { status: 404, message: 'Duel not found' };
+      if (!DUEL_OPEN_STATUSES.includes(duel.status)) return { status: 409, message: `Duel is ${duel.status}` };
+      if (Number(duel.is_expired)) return { status: 409, message: 'Duel deadline has passed' };
+      if (duel[`${side}_attempt_id`]) {
+        return { status: 409, message: 'Duel already started', data: { attempt_id: duel[`${side}_attempt_id`] } };
+      }
+
+      const quiz = await getQuizById(duel.quiz_id);
+      if (!quiz || quiz.active_status === 0) return { status: 403, message: 'Quiz inactive' };
+
+      await conn.execute(`SELECT user_id FROM m_user WHERE user_id = ? FOR UPDATE`, [userId]);
+      const blocked = await checkRetakePolicy(conn, quiz, userId);
+      if (blocked) return { status: blocked.code, message: blocked.message, data: blocked.data };
+
+      const picked = JSON.parse(duel.question_set);
+      const attemptId = await insertAttempt(conn, userId, quiz, picked, duel);
+      await conn.execute(
+        `UPDATE t_quiz_duel SET ${side}_attempt_id = ?, status = IF(? = ?, ?, status) WHERE duel_id = ?`,
+        [attemptId, side, DUEL_RESULT_OPPONENT, DUEL_ACTIVE, duel.duel_id]
+      );
+      return { attemptId, picked };
+    });
+    if (started.status) return fail(res, started.message, started.status, started.data ?? null);
+
+    return ok(res, 'Start duel attempt successful', {
+      duel: toPublicDuel(await getDuel(req.params.id), userId),
+      attempt: await getAttemptById(started.attemptId),
+      questions: started.picked.map((p) => toPublicQuestion(p.question, p.choice_order))
+    }, 201);
+  } catch (e) { next(e); }
+});
+
+// POST /duels/:id/decline → คู่แข่งปฏิเสธได้ก่อนเริ่มทำ
+app.post('/duels/:id/decline', protect('/duels'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const [result] = await pool.execute(
+      `UPDATE t_quiz_duel SET status = ?, completed_at = NOW()
+       WHERE duel_id = ? AND opponent_id = ? AND status = ? AND opponent_attempt_id IS NULL`,
+      [DUEL_DECLINED, req.params.id, req.auth.subject_id, DUEL_PENDING]
+    );
+    const duel = await getDuel(req.params.id);
+    const side = duel ? duelSide(duel, req.auth.subject_id) : null;
+    if (!side) return fail(res, 'Duel not found', 404);
+    if (side !== DUEL_RESULT_OPPONENT) return fail(res, 'Only the opponent can decline', 403);
+    if (!result.affectedRows) return fail(res, `Duel is ${duel.status}`, 409);
+
+    return ok(res, 'Decline duel successful', toPublicDuel(duel, req.auth.subject_id));
+  } catch (e) { next(e); }
+});
+
+// GET /users/:id/duel-record → สถิติชนะ/แพ้/เสมอ (เพื่อนใน organization เดียวกันดูได้)
+// ต้องประกาศก่อน mount CRUD ของ /users
+app.get('/users/:id/duel-record', protect('/users/:id/duel-record'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const user = await findViewableUser(req, Number(req.params.id), { allowPeers: true });
+    if (!user) return fail(res, 'User not found', 404);
+
+    return ok(res, 'Get duel record successful', { user_id: user.user_id, ...(await getDuelRecord(user.user_id)) });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Course assignments (organization มอบหมาย course ให้ทั้ง group หรือรายคน + วันเริ่ม / กำหนดส่ง)
+// =========================
+const ASSIGNMENT_NOT_STARTED = 'not_started';
+const ASSIGNMENT_UPCOMING = 'upcoming';
+const ASSIGNMENT_IN_PROGRESS = 'in_progress';
+const ASSIGNMENT_COMPLETED = 'completed';
+const ASSIGNMENT_OVERDUE = 'overdue';
+
+// มอบหมายให้ group หรือ user อย่างใดอย่างหนึ่ง
+function validateCourseAssignment(row) {
+  const hasGroup = row.group_id !== undefined && row.group_id !== null;
+  const hasUser = row.user_id !== undefined && row.user_id !== null;
+  if (hasGroup === hasUser) return 'Provide exactly one of group_id or user_id';
+  if (hasGroup && !isPositiveInt(row.group_id)) return 'group_id must be a positive integer';
+  if (hasUser && !isPositiveInt(row.user_id)) return 'user_id must be a positive integer';
+  if (row.course_id !== undefined && !isPositiveInt(row.course_id)) return 'course_id must be a positive integer';
+
+  if (row.is_mandatory !== undefined && row.is_mandatory !== null) {
+    const flag = toFlag(row.is_mandatory);
+    if (flag === null) return 'is_mandatory must be 0 or 1';
+    row.is_mandatory = flag;
+  }
+  return validateDateRange(row, 'start_date', 'due_date');
+}
+
+// organization_id ของ assignment = organization ของ group / user ที่ได้รับมอบหมาย (ใช้กรอง overdue + timezone)
+// ส่ง organization_id มาไม่ตรง → ปฏิเสธ
+async function deriveAssignmentOrganization(row, req) {
+  const [rows] = row.group_id !== undefined && row.group_id !== null
+    ? await pool.execute(`SELECT organization_id FROM m_group WHERE group_id = ? LIMIT 1`, [row.group_id])
+    : await pool.execute(`SELECT organization_id FROM m_user WHERE user_id = ? LIMIT 1`, [row.user_id]);
+  if (!rows.length) return { error: 'Assigned group or user not found' };
+
+  const orgId = rows[0].organization_id;
+  if (!orgId) return { error: 'Assigned group or user has no organization' };
+  const requested = req.body?.organization_id;
+  if (requested !== undefined && requested !== null && Number(requested) !== Number(orgId)) {
+    return { error: 'organization_id does not match the assigned group or user' };
+  }
+  return { values: { organization_id: orgId } };
+}
+
+// assignment เก่าที่ organization_id ว่าง / ไม่ตรงกับ group / user ที่ได้รับมอบหมาย
+async function backfillAssignmentOrganizations() {
+  await pool.query(
+    `UPDATE t_course_assignment ca
+     LEFT JOIN m_group g ON g.group_id = ca.group_id
+     LEFT JOIN m_user u ON u.user_id = ca.user_id
+     SET ca.organization_id = COALESCE(g.organization_id, u.organization_id)
+     WHERE COALESCE(g.organization_id, u.organization_id) IS NOT NULL
+       AND NOT (ca.organization_id <=> COALESCE(g.organization_id, u.organization_id))`
+  );
+}
+
+// timezone ของ organization (ไม่มี → ค่าเริ่มต้นของระบบ)
+async function getOrganizationTimeZone(orgId) {
+  if (!orgId) return DEFAULT_TIMEZONE;
+  const [rows] = await pool.execute(`SELECT timezone FROM m_organization WHERE organization_id = ? LIMIT 1`, [orgId]);
+  const tz = rows[0]?.timezone;
+  return tz && isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// progress = toProgressSummary (ดู Progress)
+function assignmentStatus(assignment, progress, today) {
+  if (progress.is_completed) return ASSIGNMENT_COMPLETED;
+  if (assignment.start_date && assignment.start_date > today) return ASSIGNMENT_UPCOMING;
+  if (assignment.due_date && assignment.due_date < today) return ASSIGNMENT_OVERDUE;
+  return progress.submitted_quizzes > 0 ? ASSIGNMENT_IN_PROGRESS : ASSIGNMENT_NOT_STARTED;
+}
+
+const ASSIGNMENT_DATE_COLUMNS = `DATE_FORMAT(ca.start_date, '%Y-%m-%d') AS start_date,
+       DATE_FORMAT(ca.due_date, '%Y-%m-%d') AS due_date`;
+
+// GET /me/courses → course ที่ได้รับมอบหมาย (รายคน + ผ่าน group) พร้อมสถานะและความคืบหน้า
+app.get('/me/courses', protect('/me/courses'), async (req, res, next) => {
+  try {
+    const userId = req.auth.subject_id;
+    const [users] = await pool.execute(`SELECT group_id FROM m_user WHERE user_id = ? LIMIT 1`, [userId]);
+    const groupId = users[0]?.group_id ?? null;
+
+    // มอบหมายรายคนมาก่อน group, ซ้ำกันหลายรายการใช้กำหนดส่งที่เร็วที่สุด
+    const [rows] = await pool.execute(
+      `SELECT ca.assignment_id, ca.course_id, ca.group_id, ca.user_id, ca.is_mandatory, ${ASSIGNMENT_DATE_COLUMNS},
+              c.course_name, c.desciption, c.mascot_id
+       FROM t_course_assignment ca
+       JOIN m_course c ON c.course_id = ca.course_id
+       WHERE (ca.active_status IS NULL OR ca.active_status <> 0)
+         AND (c.active_status IS NULL OR c.active_status <> 0)
+         AND (ca.user_id = ? OR (ca.user_id IS NULL AND ca.group_id = ?))
+       ORDER BY ca.user_id IS NULL, ca.due_date IS NULL, ca.due_date ASC, ca.assignment_id ASC`,
+      [userId, groupId]
+    );
+    const byCourse = new Map();
+    for (const r of rows) if (!byCourse.has(Number(r.course_id))) byCourse.set(Number(r.course_id), r);
+    const assignments = [...byCourse.values()];
+
+    const today = localDate(await getUserTimeZone(pool, userId));
+    const progress = await computeCourseProgress(pool, [userId], assignments.map((a) => Number(a.course_id)));
+    const courses = assignments.map((a) => {
+      const p = toProgressSummary(progress.get(`${userId}:${a.course_id}`));
+      return {
+        ...a,
+        is_mandatory: Number(a.is_mandatory) === 1,
+        assigned_via: a.user_id ? 'user' : 'group',
+        status: assignmentStatus(a, p, today),
+        progress: p
+      };
+    });
+    // ที่ต้องทำก่อนขึ้นก่อน: เลยกำหนด → บังคับ → กำหนดส่งใกล้สุด
+    courses.sort((a, b) => (
+      Number(b.status === ASSIGNMENT_OVERDUE) - Number(a.status === ASSIGNMENT_OVERDUE)
+      || Number(b.is_mandatory) - Number(a.is_mandatory)
+      || String(a.due_date || '9999-12-31').localeCompare(String(b.due_date || '9999-12-31'))
+    ));
+
+    return ok(res, 'Get assigned courses successful', { today, courses });
+  } catch (e) { next(e); }
+});
+
+// GET /course-assignments/overdue?course_id=&mandatory_only=1 → user ที่เลยกำหนดส่งแต่ยังไม่ครบตาม completion_rule ของ course
+// ต้องประกาศก่อน mount CRUD ของ /course-assignments
+app.get('/course-assignments/overdue', protect('/course-assignments'), async (req, res, next) => {
+  try {
+    if (req.query.course_id !== undefined && !isPositiveInt(req.query.course_id)) return fail(res, 'Invalid course_id', 400);
+
+    const where = ['(ca.active_status IS NULL OR ca.active_status <> 0)', 'ca.due_date < ?'];
+    const orgId = isTenantScoped(req) ? req.auth.organization_id : null;
+    const today = localDate(await getOrganizationTimeZone(orgId));
+    const params = [today, today];
+
+    if (orgId) { where.push('ca.organization_id = ?'); params.push(orgId); }
+    if (req.query.course_id !== undefined) {
+      where.push('ca.course_id = ?');
+      params.push(req.query.course_id);
+    }
+    if (req.query.mandatory_only === '1') where.push('ca.is_mandatory = 1');
+
+    const [rows] = await pool.execute(
+      `SELECT ca.assignment_id, ca.course_id, c.course_name, ca.is_mandatory, ${ASSIGNMENT_DATE_COLUMNS},
+              DATEDIFF(?, ca.due_date) AS days_overdue,
+              IF(ca.user_id IS NULL, 'group', 'user') AS assigned_via,
+              u.user_id, u.email, u.group_id
+       FROM t_course_assignment ca
+       JOIN m_course c ON c.course_id = ca.course_id
+       JOIN m_user u ON u.user_id = ca.user_id OR (ca.user_id IS NULL AND u.group_id = ca.group_id)
+       WHERE ${where.join(' AND ')}
+       ORDER BY ca.due_date ASC, ca.course_id ASC, u.user_id ASC`,
+      params
+    );
+
+    // ได้รับมอบหมายทั้งรายคนและผ่าน group → แสดงครั้งเดียว (กำหนดส่งเร็วสุด)
+    const seen = new Set();
+    const assigned = rows.filter((r) => {
+      const key = `${r.user_id}:${r.course_id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const progress = await computeCourseProgress(
+      pool,
+      [...new Set(assigned.map((r) => Number(r.user_id)))],
+      [...new Set(assigned.map((r) => Number(r.course_id)))]
+    );
+    const items = [];
+    for (const r of assigned) {
+      const p = progress.get(`${r.user_id}:${r.course_id}`);
+      if (!p || p.is_completed) continue;
+      items.push({
+        ...r,
+        is_mandatory: Number(r.is_mandatory) === 1,
+        days_overdue: Number(r.days_overdue),
+        progress_percent: p.percent
+      });
+    }
+
+    return ok(res, 'Get overdue assignments successful', { today, items });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Progress (subject → course ตามกติกาที่ตั้งไว้ใน m_subject / m_course, t_user_course_score คำนวณที่ server)
+// =========================
+const SUBJECT_RULE_ALL_PASSED = 'all_passed';
+const SUBJECT_RULE_ALL_SUBMITTED = 'all_submitted';
+const SUBJECT_RULE_PERCENT_PASSED = 'percent_passed';
+const SUBJECT_RULES = [SUBJECT_RULE_ALL_PASSED, SUBJECT_RULE_ALL_SUBMITTED, SUBJECT_RULE_PERCENT_PASSED];
+const COURSE_RULE_ALL_SUBJECTS = 'all_subjects';
+const COURSE_RULE_PERCENT_SUBJECTS = 'percent_subjects';
+const COURSE_RULES = [COURSE_RULE_ALL_SUBJECTS, COURSE_RULE_PERCENT_SUBJECTS];
+
+// rule แบบ percent ต้องมี completion_threshold (1-100)
+function validateCompletionRule(row, rules, percentRule) {
+  if (row.completion_rule !== undefined && row.completion_rule !== null && !rules.includes(row.completion_rule)) {
+    return `completion_rule must be one of: ${rules.join(', ')}`;
+  }
+  const threshold = row.completion_threshold;
+  const hasThreshold = threshold !== undefined && threshold !== null;
+  if (hasThreshold && !(Number(threshold) > 0 && Number(threshold) <= 100)) {
+    return 'completion_threshold must be greater than 0 and at most 100';
+  }
+  if (row.completion_rule === percentRule && !hasThreshold) {
+    return `completion_threshold is required for ${percentRule}`;
+  }
+  return null;
+}
+
+function validateSubject(row) {
+  return validateCompletionRule(row, SUBJECT_RULES, SUBJECT_RULE_PERCENT_PASSED);
+}
+
+function validateCourse(row) {
+  return validateCompletionRule(row, COURSE_RULES, COURSE_RULE_PERCENT_SUBJECTS);
+}
+
+// ไม่มีอะไรให้ทำ (total = 0) ไม่นับว่าครบ
+function meetsRule(byPercent, done, total, threshold) {
+  if (!total) return false;
+  return byPercent ? scorePercent(done, total) >= Number(threshold) : done >= total;
+}
+
+// course (active) → subject (active, เรียงตาม sort_order) → quiz (active) : Map(course_id → course)
+async function loadCourseStructures(conn, courseIds) {
+  const courses = new Map();
+  if (!courseIds.length) return courses;
+  const [courseRows] = await conn.query(
+    `SELECT course_id, course_name, completion_rule, completion_threshold
+     FROM m_course
+     WHERE course_id IN (?) AND (active_status IS NULL OR active_status <> 0)`,
+    [courseIds]
+  );
+  for (const c of courseRows) courses.set(Number(c.course_id), { ...c, subjects: [] });
+  if (!courses.size) return courses;
+
+  const [subjectRows] = await conn.query(
+    `SELECT subject_id, course_id, subject_name, completion_rule, completion_threshold
+     FROM m_subject
+     WHERE course_id IN (?) AND (active_status IS NULL OR active_status <> 0)
+     ORDER BY course_id, sort_order IS NULL, sort_order ASC, subject_id ASC`,
+    [[...courses.keys()]]
+  );
+  const subjects = new Map();
+  for (const s of subjectRows) {
+    const subject = { ...s, quizzes: [] };
+    subjects.set(Number(s.subject_id), subject);
+    courses.get(Number(s.course_id)).subjects.push(subject);
+  }
+  if (!subjects.size) return courses;
+
+  const [quizRows] = await conn.query(
+    `SELECT quiz_id, subject_id, quiz_name, passing_score, score_policy
+     FROM m_quiz
+     WHERE subject_id IN (?) AND (active_status IS NULL OR active_status <> 0)
+     ORDER BY quiz_id ASC`,
+    [[...subjects.keys()]]
+  );
+  for (const z of quizRows) subjects.get(Number(z.subject_id)).quizzes.push(z);
+  return courses;
+}
+
+// attempt ที่ submit แล้ว ไม่รวม duel (เก่า → ใหม่) : Map(`${user_id}:${quiz_id}` → rows)
+async function loadSubmittedAttempts(conn, userIds, quizIds) {
+  const attempts = new Map();
+  if (!userIds.length || !quizIds.length) return attempts;
+  const [rows] = await conn.query(
+    `SELECT user_id, quiz_id, score, max_score, passed
+     FROM t_quiz_attempt
+     WHERE status = ? AND user_id IN (?) AND quiz_id IN (?) AND duel_id IS NULL
+     ORDER BY attempt_id ASC`,
+    [ATTEMPT_SUBMITTED, userIds, quizIds]
+  );
+  for (const r of rows) {
+    const key = `${r.user_id}:${r.quiz_id}`;
+    if (!attempts.has(key)) attempts.set(key, []);
+    attempts.get(key).push(r);
+  }
+  return attempts;
+}
+
+// quiz ผ่านเมื่อมี attempt ที่ผ่าน (ไม่มี passing_score แค่ส่งก็นับ)
+// subject ที่ไม่มี quiz เปิดอยู่ไม่นับ, course_score = ค่าเฉลี่ย counted_percent ทุก quiz (ยังไม่ทำ = 0)
+function buildCourseProgress(course, attemptsOf) {
+  let quizCount = 0;
+  let completedQuizzes = 0;
+  let submittedQuizzes = 0;
+  let countedSum = 0;
+
+  const subjects = course.subjects.filter((s) => s.quizzes.length).map((s) => {
+    const rule = s.completion_rule || SUBJECT_RULE_ALL_PASSED;
+    const quizzes = s.quizzes.map((z) => {
+      const rows = attemptsOf(z.quiz_id);
+      const counted = countedPercent(z, rows.map((r) => scorePercent(r.score, r.max_score)));
+      return {
+        quiz_id: z.quiz_id,
+        quiz_name: z.quiz_name,
+        attempts: rows.length,
+        counted_percent: counted,
+        submitted: rows.length > 0,
+        passed: rows.some((r) => r.passed === null || Number(r.passed) === 1)
+      };
+    });
+    const submitted = quizzes.filter((z) => z.submitted).length;
+    const passed = quizzes.filter((z) => z.passed).length;
+    const done = rule === SUBJECT_RULE_ALL_SUBMITTED ? submitted : passed;
+
+    quizCount += quizzes.length;
+    completedQuizzes += done;
+    submittedQuizzes += submitted;
+    countedSum += quizzes.reduce((sum, z) => sum + (z.counted_percent || 0), 0);
+    return {
+      subject_id: s.subject_id,
+      subject_name: s.subject_name,
+      completion_rule: rule,
+      completion_threshold: s.completion_threshold === null ? null : Number(s.completion_threshold),
+      quiz_count: quizzes.length,
+      submitted_quizzes: submitted,
+      passed_quizzes: passed,
+      percent: scorePercent(done, quizzes.length),
+      is_completed: meetsRule(rule === SUBJECT_RULE_PERCENT_PASSED, done, quizzes.length, s.completion_threshold),
+      quizzes
+    };
+  });
+
+  const rule = course.completion_rule || COURSE_RULE_ALL_SUBJECTS;
+  const completedSubjects = subjects.filter((s) => s.is_completed).length;
+  return {
+    course_id: course.course_id,
+    course_name: course.course_name,
+    completion_rule: rule,
+    completion_threshold: course.completion_threshold === null ? null : Number(course.completion_threshold),
+    subject_count: subjects.length,
+    completed_subjects: completedSubjects,
+    quiz_count: quizCount,
+    completed_quizzes: completedQuizzes,
+    submitted_quizzes: submittedQuizzes,
+    percent: scorePercent(completedQuizzes, quizCount),
+    course_score: quizCount ? Math.round((countedSum / quizCount) * 100) / 100 : 0,
+    is_completed: meetsRule(rule === COURSE_RULE_PERCENT_SUBJECTS, completedSubjects, subjects.length, course.completion_threshold),
+    subjects
+  };
+}
+
+// คำนวณสดจาก attempt : Map(`${user_id}:${course_id}` → progress)
+async function computeCourseProgress(conn, userIds, courseIds) {
+  const progress = new Map();
+  const courses = await loadCourseStructures(conn, courseIds);
+  const quizIds = [...courses.values()].flatMap((c) => c.subjects.flatMap((s) => s.quizzes.map((z) => z.quiz_id)));
+  const attempts = await loadSubmittedAttempts(conn, userIds, quizIds);
+  for (const userId of userIds) {
+    for (const course of courses.values()) {
+      progress.set(`${userId}:${course.course_id}`, buildCourseProgress(course, (quizId) => attempts.get(`${userId}:${quizId}`) || []));
+    }
+  }
+  return progress;
+}
+
+// ไม่มีรายละเอียดราย quiz / subject (ใช้ในรายการ)
+function toProgressSummary(progress) {
+  const { subjects, ...summary } = progress;
+  return summary;
+}
+
+// บันทึกลง t_user_subject_progress + t_user_course_score (ยังไม่เคยทำและไม่มีแถวเดิม → ไม่สร้างแถวใหม่)
+// completed_at = ครั้งแรกที่ครบ, กลับเป็น NULL ถ้ามี quiz ใหม่ทำให้ไม่ครบ
+async function saveCourseProgress(conn, userId, progress) {
+  for (const s of progress.subjects) {
+    if (s.submitted_quizzes) {
+      const completed = s.is_completed ? 1 : 0;
+      await conn.execute(
+        `INSERT INTO t_user_subject_progress (user_id, subject_id, course_id, percent, is_completed, completed_at)
+         VALUES (?, ?, ?, ?, ?, IF(? = 1, NOW(), NULL))
+         ON DUPLICATE KEY UPDATE course_id = VALUES(course_id), percent = VALUES(percent),
+           completed_at = IF(VALUES(is_completed) = 1, COALESCE(completed_at, NOW()), NULL),
+           is_completed = VALUES(is_completed)`,
+        [userId, s.subject_id, progress.course_id, s.percent, completed, completed]
+      );
+    } else {
+      await conn.execute(
+        `UPDATE t_user_subject_progress
+         SET course_id = ?, percent = 0, is_completed = 0, completed_at = NULL
+         WHERE user_id = ? AND subject_id = ?`,
+        [progress.course_id, userId, s.subject_id]
+      );
+    }
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT score_id FROM t_user_course_score WHERE user_id = ? AND course_id = ? ORDER BY score_id ASC LIMIT 1 FOR UPDATE`,
+    [userId, progress.course_id]
+  );
+  const completed = progress.is_completed ? 1 : 0;
+  if (rows.length) {
+    await conn.execute(
+      `UPDATE t_user_course_score
+       SET course_score = ?, progress_percent = ?,
+           completed_at = IF(? = 1, COALESCE(completed_at, NOW()), NULL), is_completed = ?, updated_date = NOW()
+       WHERE score_id = ?`,
+      [progress.course_score, progress.percent, completed, completed, rows[0].score_id]
+    );
+  } else if (progress.submitted_quizzes) {
+    await conn.execute(
+      `INSERT INTO t_user_course_score
+       (user_id, course_id, course_score, progress_percent, is_completed, completed_at, updated_date)
+       VALUES (?, ?, ?, ?, ?, IF(? = 1, NOW(), NULL), NOW())`,
+      [userId, progress.course_id, progress.course_score, progress.percent, completed, completed]
+    );
+  }
+}
+
+// คำนวณใหม่ + บันทึก (เรียกใน transaction หลัง submit attempt)
+async function syncCourseProgress(conn, userId, courseId) {
+  if (!courseId) return null;
+  const progress = (await computeCourseProgress(conn, [userId], [courseId])).get(`${userId}:${courseId}`);
+  if (!progress) return null;
+  await saveCourseProgress(conn, userId, progress);
+  return progress;
+}
+
+// course ที่ user ได้รับมอบหมาย (รายคน + ผ่าน group) หรือเคยส่ง quiz แล้ว
+async function getUserProgressCourseIds(user) {
+  const [rows] = await pool.execute(
+    `SELECT ca.course_id
+     FROM t_course_assignment ca
+     WHERE (ca.active_status IS NULL OR ca.active_status <> 0)
+       AND (ca.user_id = ? OR (ca.user_id IS NULL AND ca.group_id = ?))
+     UNION
+     SELECT s.course_id
+     FROM t_quiz_attempt a
+     JOIN m_quiz z ON z.quiz_id = a.quiz_id
+     JOIN m_subject s ON s.subject_id = z.subject_id
+     WHERE a.user_id = ? AND a.status = ? AND a.duel_id IS NULL`,
+    [user.user_id, user.group_id, user.user_id, ATTEMPT_SUBMITTED]
+  );
+  return rows.map((r) => Number(r.course_id));
+}
+
+// GET /users/:id/progress?course_id= → ความคืบหน้าราย course / subject / quiz (คำนวณสด ไม่บันทึก, บันทึกตอน submit)
+app.get('/users/:id/progress', protect('/users/:id/progress'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid user id', 400);
+    if (req.query.course_id !== undefined && !isPositiveInt(req.query.course_id)) return fail(res, 'Invalid course_id', 400);
+
+    const user = await findViewableUser(req, req.params.id);
+    if (!user) return fail(res, 'User not found', 404);
+
+    const courseIds = req.query.course_id !== undefined
+      ? [Number(req.query.course_id)]
+      : await getUserProgressCourseIds(user);
+    const courses = [...(await computeCourseProgress(pool, [Number(user.user_id)], courseIds)).values()];
+    if (req.query.course_id !== undefined && !courses.length) return fail(res, 'Course not found', 404);
+
+    return ok(res, 'Get progress successful', { user_id: Number(user.user_id), courses });
+  } catch (e) { next(e); }
+});
+
+// GET /courses/:id/progress?group_id=&organization_id= → ผู้เรียนที่ได้รับมอบหมายหรือเคยส่ง quiz ใน course นี้
+// user เห็นเฉพาะตัวเอง, organization เห็น user ใน organization ตัวเอง
+app.get('/courses/:id/progress', protect('/courses/:id/progress'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid course id', 400);
+    if (req.query.group_id !== undefined && !isPositiveInt(req.query.group_id)) return fail(res, 'Invalid group_id', 400);
+    if (req.query.organization_id !== undefined && !isPositiveInt(req.query.organization_id)) {
+      return fail(res, 'Invalid organization_id', 400);
+    }
+
+    const courseId = Number(req.params.id);
+    const structures = await loadCourseStructures(pool, [courseId]);
+    if (!structures.size) return fail(res, 'Course not found', 404);
+
+    const where = [];
+    const params = [courseId, courseId, ATTEMPT_SUBMITTED];
+    if (req.auth.role === ROLE_USER) {
+      where.push('u.user_id = ?');
+      params.push(req.auth.subject_id);
+    } else if (isTenantScoped(req)) {
+      where.push('u.organization_id = ?');
+      params.push(req.auth.organization_id);
+    } else if (req.query.organization_id !== undefined) {
+      where.push('u.organization_id = ?');
+      params.push(req.query.organization_id);
+    }
+    if (req.query.group_id !== undefined) {
+      where.push('u.group_id = ?');
+      params.push(req.query.group_id);
+    }
+
+    const [learners] = await pool.execute(
+      `SELECT u.user_id, u.email, u.organization_id, u.group_id
+       FROM m_user u
+       WHERE (
+           EXISTS (
+             SELECT 1 FROM t_course_assignment ca
+             WHERE ca.course_id = ? AND (ca.active_status IS NULL OR ca.active_status <> 0)
+               AND (ca.user_id = u.user_id OR (ca.user_id IS NULL AND ca.group_id = u.group_id))
+           )
+           OR EXISTS (
+             SELECT 1 FROM t_quiz_attempt a
+             JOIN m_quiz z ON z.quiz_id = a.quiz_id
+             JOIN m_subject s ON s.subject_id = z.subject_id
+             WHERE s.course_id = ? AND a.user_id = u.user_id AND a.status = ?
+           )
+         )
+         ${where.length ? `AND ${where.join(' AND ')}` : ''}
+       ORDER BY u.user_id ASC`,
+      params
+    );
+
+    const progress = await computeCourseProgress(pool, learners.map((u) => Number(u.user_id)), [courseId]);
+    const items = learners.map((u) => ({
+      ...u,
+      ...toProgressSummary(progress.get(`${u.user_id}:${courseId}`)),
+      completed_subject_ids: progress.get(`${u.user_id}:${courseId}`).subjects
+        .filter((s) => s.is_completed).map((s) => s.subject_id)
+    }));
+    items.sort((a, b) => b.percent - a.percent || a.user_id - b.user_id);
+
+    const average = (key) => (items.length
+      ? Math.round((items.reduce((sum, i) => sum + i[key], 0) / items.length) * 100) / 100
+      : null);
+    const course = buildCourseProgress(structures.get(courseId), () => []);
+    return ok(res, 'Get course progress successful', {
+      course: toProgressSummary(course),
+      summary: {
+        learner_count: items.length,
+        completed_count: items.filter((i) => i.is_completed).length,
+        average_percent: average('percent'),
+        average_score: average('course_score'),
+        subjects: course.subjects.map((s) => ({
+          subject_id: s.subject_id,
+          subject_name: s.subject_name,
+          quiz_count: s.quiz_count,
+          completed_count: items.filter((i) => i.completed_subject_ids.includes(s.subject_id)).length
+        }))
+      },
+      learners: items
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// Question import / export (CSV หรือ JSON)
+// ต้องประกาศก่อน mount CRUD ของ /quizzes
+// =========================
+// column ที่ย้ายข้าม environment ได้ (ไม่มี question_id / quiz_id)
+const QUESTION_TRANSFER_FIELDS = [
+  'question_text',
+  'question_type',
+  'choice_a', 'choice_b', 'choice_c', 'choice_d',
+  'true_label', 'false_label',
+  'correct_answer',
+  'question_options',
+  'score',
+  'partial_credit',
+  'wrong_penalty',
+  'difficulty',
+  'sort_order',
+  'active_status'
+];
+const QUESTION_IMPORT_REQUIRED = ['question_text', 'question_type', 'correct_answer'];
+// field ที่รับ object / array ได้ (ที่เหลือต้องเป็นค่าเดี่ยว)
+const QUESTION_IMPORT_JSON_FIELDS = ['correct_answer', 'question_options'];
+
+// RFC 4180: รองรับ "..." , "" (escape) และขึ้นบรรทัดใหม่ใน quote
+// → [{ line, cells }] โดย line คือบรรทัดในไฟล์ที่ record เริ่ม
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else {
+        if (ch === '\n' || (ch === '\r' && src[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push({ line: rowLine, cells: row }); row = [];
+      rowLine = ++line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push({ line: rowLine, cells: row }); }
+
+  // ตัดบรรทัดว่าง
+  return rows.filter((r) => r.cells.some((v) => v.trim() !== ''));
+}
+
+// แถวแรกเป็น header → [{ line, value: { header: value } }]
+function csvToObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.cells.map((h) => h.trim());
+  return rows.map((r) => ({
+    line: r.line,
+    value: Object.fromEntries(keys.map((k, i) => [k, r.cells[i] ?? '']))
+  }));
+}
+
+function toCsvValue(val) {
+  if (val === null || val === undefined) return '';
+  const s = typeof val === 'object' ? JSON.stringify(val) : String(val);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map((c) => toCsvValue(r[c])).join(','));
+  return lines.join('\r\n');
+}
+
+// ตรวจ 1 แถวตามกติกาเดียวกับ POST /quiz-questions → { row } หรือ { error }
+function prepareImportedQuestion(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Row must be an object' };
+
+  const row = {};
+  for (const f of QUESTION_TRANSFER_FIELDS) {
+    if (input[f] !== undefined && input[f] !== null && input[f] !== '') row[f] = input[f];
+  }
+
+  const missing = QUESTION_IMPORT_REQUIRED.filter((f) => row[f] === undefined);
+  if (missing.length) return { error: `Missing required: ${missing.join(', ')}` };
+
+  const nonScalar = Object.keys(row).filter(
+    (f) => !QUESTION_IMPORT_JSON_FIELDS.includes(f) && typeof row[f] === 'object'
+  );
+  if (nonScalar.length) return { error: `Must be a single value: ${nonScalar.join(', ')}` };
+
+  for (const f of ['score', 'sort_order', 'active_status']) {
+    if (row[f] !== undefined && !Number.isFinite(Number(row[f]))) return { error: `${f} must be a number` };
+  }
+
+  const invalid = validateQuestion(row);
+  if (invalid) return { error: invalid };
+  return { row };
+}
+
+// body รับได้ทั้ง JSON ({ questions: [...] } หรือ [...]) และ text/csv
+// → [{ line, value }] (line มีเฉพาะ CSV)
+function readImportRows(req) {
+  if (typeof req.body === 'string') return csvToObjects(req.body);
+  const list = Array.isArray(req.body) ? req.body : req.body?.questions;
+  if (!Array.isArray(list)) return null;
+  return list.map((value) => ({ line: null, value }));
+}
+
+// Import (ทั้งหมดหรือไม่เลย)
+app.post(
+  '/quizzes/:id/questions/import',
+  protect('/quizzes/:id/questions/import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: process.env.JSON_BODY_LIMIT || '2mb' }),
+  async (req, res, next) => {
+    try {
+      if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+      const quiz = await getQuizById(req.params.id);
+      if (!quiz) return fail(res, 'Quiz not found', 404);
+
+      const inputs = readImportRows(req);
+      if (!inputs) return fail(res, 'Body must be CSV or JSON { questions: [...] }', 400);
+      if (!inputs.length) return fail(res, 'No questions to import', 400);
+
+      const rows = [];
+      const errors = [];
+      // record = ลำดับคำถามใน body, line = บรรทัดในไฟล์ CSV
+      inputs.forEach((input, i) => {
+        const prepared = prepareImportedQuestion(input.value);
+        if (!prepared.error) rows.push(prepared.row);
+        else if (input.line) errors.push({ record: i + 1, line: input.line, message: prepared.error });
+        else errors.push({ record: i + 1, message: prepared.error });
+      });
+      if (errors.length) return fail(res, 'Import validation failed', 400, { errors });
+
+      const insertedIds = await withTransaction(async (conn) => {
+        const ids = [];
+        for (const row of rows) {
+          const payload = { quiz_id: quiz.quiz_id, ...row };
+          const cols = Object.keys(payload);
+          const [result] = await conn.execute(
+            `INSERT INTO t_quiz_question (${cols.join(',')}) VALUES (${cols.map(() => '?').join(',')})`,
+            Object.values(payload)
+          );
+          ids.push(result.insertId);
+        }
+        return ids;
+      });
+
+      return ok(res, 'Import quiz questions successful', {
+        quiz_id: quiz.quiz_id,
+        imported_count: insertedIds.length,
+        question_ids: insertedIds
+      }, 201);
+    } catch (e) { next(e); }
+  }
+);
+
+// Export (?format=json | csv)
+app.get('/quizzes/:id/questions/export', protect('/quizzes/:id/questions/export'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) return fail(res, 'format must be json or csv', 400);
+
+    const quiz = await getQuizById(req.params.id);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+
+    const [questions] = await pool.execute(
+      `SELECT * FROM t_quiz_question WHERE quiz_id = ? ORDER BY sort_order ASC, question_id ASC`,
+      [quiz.quiz_id]
+    );
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`quiz-${quiz.quiz_id}-questions.csv`);
+      return res.send(toCsv(QUESTION_TRANSFER_FIELDS, questions));
+    }
+
+    const out = questions.map((q) => {
+      const item = {};
+      for (const f of QUESTION_TRANSFER_FIELDS) item[f] = q[f] ?? null;
+      item.correct_answer = readCorrectAnswer(q);
+      item.question_options = q.question_options ? readQuestionOptions(q) : null;
+      return item;
+    });
+
+    return ok(res, 'Export quiz questions successful', {
+      quiz: { quiz_id: quiz.quiz_id, quiz_name: quiz.quiz_name },
+      questions: out
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================
+// QTI 2.1 import / export (choice, true/false, text entry)
+// ต้องประกาศก่อน mount CRUD ของ /quizzes
+// =========================
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_TEMPLATE_MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const QTI_TEMPLATE_MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+const QTI_SUPPORTED_INTERACTIONS = ['choiceInteraction', 'textEntryInteraction'];
+// จำกัดขนาดหลังแตก zip (upload limit คุมแค่ขนาดที่บีบอัดแล้ว)
+const QTI_MAX_ENTRY_BYTES = Number(process.env.QTI_MAX_ENTRY_BYTES || 5 * 1024 * 1024);
+const QTI_MAX_UNZIPPED_BYTES = Number(process.env.QTI_MAX_UNZIPPED_BYTES || 50 * 1024 * 1024);
+
+const qtiParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  removeNSPrefix: true,
+  trimValues: false,
+});
+
+// ---- helper อ่าน node ของ fast-xml-parser (preserveOrder) ----
+function xmlTag(node) {
+  return Object.keys(node).find((k) => k !== ':@');
+}
+
+function xmlChildren(node) {
+  const children = node[xmlTag(node)];
+  return Array.isArray(children) ? children : [];
+}
+
+function xmlAttr(node, name) {
+  return node[':@']?.[`@_${name}`];
+}
+
+// match = ชื่อ tag หรือ function(tag) → boolean
+function xmlFindAll(nodes, match, out = []) {
+  for (const node of nodes || []) {
+    const tag = xmlTag(node);
+    if (typeof match === 'function' ? match(tag) : tag === match) out.push(node);
+    xmlFindAll(xmlChildren(node), match, out);
+  }
+  return out;
+}
+
+function xmlFind(nodes, tag) {
+  return xmlFindAll(nodes, tag)[0] || null;
+}
+
+// ข้อความทั้งหมดใต้ node; replace = { tag: 'ข้อความแทน' } (ใส่ null = ข้าม tag นั้น)
+function xmlText(nodes, replace = {}) {
+  let out = '';
+  for (const node of nodes || []) {
+    const tag = xmlTag(node);
+    if (tag === '#text') out += node['#text'];
+    else if (tag in replace) out += replace[tag] ?? '';
+    else out += ` ${xmlText(xmlChildren(node), replace)} `;
+  }
+  return out;
+}
+
+function cleanText(val) {
+  return String(val ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function xmlEscape(val) {
+  return String(val ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isTrueFalsePair(texts) {
+  const pair = texts.map((t) => normalizeAnswer(t)).sort().join('|');
+  return pair === 'false|true' || pair === 'no|yes';
+}
+
+// assessmentItem → { question } หรือ { error }
+function qtiItemToQuestion(xml) {
+  const doc = qtiParser.parse(xml);
+  const item = xmlFind(doc, 'assessmentItem');
+  if (!item) return { error: 'Not an assessmentItem' };
+
+  const body = xmlFind(xmlChildren(item), 'itemBody');
+  if (!body) return { error: 'Missing itemBody' };
+
+  const interactions = xmlFindAll(xmlChildren(body), (tag) => /Interaction$/.test(tag));
+  if (!interactions.length) return { error: 'No interaction found' };
+  if (interactions.length > 1) return { error: 'Items with more than one interaction are not supported' };
+
+  const interaction = interactions[0];
+  const kind = xmlTag(interaction);
+  if (!QTI_SUPPORTED_INTERACTIONS.includes(kind)) return { error: `${kind} is not supported` };
+
+  const responseId = xmlAttr(interaction, 'responseIdentifier');
+  const declaration = xmlFindAll(xmlChildren(item), 'responseDeclaration')
+    .find((d) => xmlAttr(d, 'identifier') === responseId);
+  if (!declaration) return { error: `Missing responseDeclaration for ${responseId}` };
+
+  const correctResponse = xmlFind(xmlChildren(declaration), 'correctResponse');
+  const correctValues = correctResponse
+    ? xmlFindAll(xmlChildren(correctResponse), 'value').map((v) => cleanText(xmlText(xmlChildren(v))))
+    : [];
+  if (!correctValues.length) return { error: 'Missing correctResponse' };
+
+  const prompt = xmlFind(xmlChildren(interaction), 'prompt');
+  const replace = Object.fromEntries(QTI_SUPPORTED_INTERACTIONS.map((t) => [t, null]));
+  replace.textEntryInteraction = ' ____ ';
+  const questionText = cleanText(`${xmlText(xmlChildren(body), replace)} ${prompt ? xmlText(xmlChildren(prompt)) : ''}`);
+
+  const scoreOutcome = xmlFindAll(xmlChildren(item), 'outcomeDeclaration')
+    .find((o) => xmlAttr(o, 'identifier') === 'SCORE');
+  const normalMaximum = Number(scoreOutcome ? xmlAttr(scoreOutcome, 'normalMaximum') : NaN);
+  const score = Number.isFinite(normalMaximum) && normalMaximum > 0 ? normalMaximum : 1;
+
+  const question = { question_text: questionText, score };
+
+  if (kind === 'choiceInteraction') {
+    const choices = xmlFindAll(xmlChildren(interaction), 'simpleChoice').map((c) => ({
+      id: xmlAttr(c, 'identifier'),
+      text: cleanText(xmlText(xmlChildren(c))),
+    }));
+    if (choices.length < 2) return { error: 'choiceInteraction needs at least 2 choices' };
+    if (choices.length > CHOICE_KEYS.length) {
+      return { error: `choiceInteraction with more than ${CHOICE_KEYS.length} choices is not supported` };
+    }
+
+    const keyOf = (id) => CHOICE_KEYS[choices.findIndex((c) => c.id === id)];
+    const correctKeys = correctValues.map(keyOf);
+    if (correctKeys.some((k) => !k)) return { error: 'correctResponse refers to an unknown choice' };
+
+    const multiple = xmlAttr(declaration, 'cardinality') === 'multiple';
+    if (!multiple && choices.length === 2 && isTrueFalsePair(choices.map((c) => c.text))) {
+      const trueChoice = choices.find((c) => ['true', 'yes'].includes(normalizeAnswer(c.text)));
+      const falseChoice = choices.find((c) => c !== trueChoice);
+      question.question_type = QUESTION_TYPE_TRUE_FALSE;
+      question.true_label = trueChoice.text;
+      question.false_label = falseChoice.text;
+      question.correct_answer = correctValues[0] === trueChoice.id ? 'true' : 'false';
+      return { question };
+    }
+
+    choices.forEach((c, i) => { question[`choice_${CHOICE_KEYS[i]}`] = c.text; });
+    if (multiple) {
+      question.question_type = QUESTION_TYPE_MULTI_SELECT;
+      question.correct_answer = correctKeys;
+    } else {
+      question.question_type = QUESTION_TYPE_MCQ;
+      question.correct_answer = correctKeys[0];
+    }
+    return { question };
+  }
+
+  // textEntryInteraction → fill_blank (mapEntry ที่ได้คะแนน = คำตอบที่ยอมรับเพิ่ม)
+  const entries = xmlFindAll(xmlChildren(declaration), 'mapEntry')
+    .filter((m) => Number(xmlAttr(m, 'mappedValue') ?? 1) > 0);
+  const accepted = [...new Set(entries.map((m) => String(xmlAttr(m, 'mapKey') ?? '')).filter(Boolean))]
+    .filter((a) => a !== correctValues[0]);
+
+  question.question_type = QUESTION_TYPE_FILL_BLANK;
+  question.correct_answer = correctValues[0];
+  question.question_options = {
+    accepted_answers: accepted,
+    case_sensitive: entries.some((m) => xmlAttr(m, 'caseSensitive') === 'true'),
+  };
+  return { question };
+}
+
+// ตรวจขนาดจาก header ก่อนแตกไฟล์ใดๆ → ข้อความ error หรือ null
+function checkZipSize(zip) {
+  let total = 0;
+  for (const en of zip.getEntries()) {
+    if (en.isDirectory) continue;
+    if (en.header.size > QTI_MAX_ENTRY_BYTES) {
+      return `${en.entryName} exceeds ${QTI_MAX_ENTRY_BYTES} bytes when unzipped`;
+    }
+    total += en.header.size;
+  }
+  if (total > QTI_MAX_UNZIPPED_BYTES) return `Package exceeds ${QTI_MAX_UNZIPPED_BYTES} bytes when unzipped`;
+  return null;
+}
+
+// adm-zip แตกได้ไม่เกิน header.size ที่ตรวจแล้ว (size = 0 จะไม่จำกัด → ไม่อ่าน)
+function readZipText(entry) {
+  return entry.header.size ? entry.getData().toString('utf8') : '';
+}
+
+// ลำดับไฟล์ item ตาม imsmanifest.xml (ถ้าไม่มี manifest ใช้ทุกไฟล์ .xml ใน zip)
+function qtiItemFiles(zip) {
+  const manifestEntry = zip.getEntries().find((en) => /(^|\/)imsmanifest\.xml$/i.test(en.entryName));
+  if (!manifestEntry) {
+    return zip.getEntries()
+      .filter((en) => !en.isDirectory && /\.xml$/i.test(en.entryName))
+      .map((en) => en.entryName);
+  }
+
+  const baseDir = path.posix.dirname(manifestEntry.entryName);
+  const manifest = qtiParser.parse(readZipText(manifestEntry));
+  return xmlFindAll(manifest, 'resource')
+    .filter((r) => String(xmlAttr(r, 'type') || '').startsWith('imsqti_item'))
+    .map((r) => path.posix.normalize(path.posix.join(baseDir, xmlAttr(r, 'href') || '')));
+}
+
+function qtiTestTitle(zip) {
+  for (const en of zip.getEntries()) {
+    if (en.isDirectory || !/\.xml$/i.test(en.entryName)) continue;
+    const xml = readZipText(en);
+    if (!xml.includes('assessmentTest')) continue;
+    const test = xmlFind(qtiParser.parse(xml), 'assessmentTest');
+    if (test && xmlAttr(test, 'title')) return cleanText(xmlAttr(test, 'title'));
+  }
+  return null;
+}
+
+function qtiItemXml(question, identifier) {
+  const points = questionPoints(question);
+  const header = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" identifier="${identifier}" title="${xmlEscape(String(question.question_text ?? '').slice(0, 100))}" adaptive="false" timeDependent="false">`;
+  const outcome = `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${points}">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>`;
+
+  if (question.question_type === QUESTION_TYPE_FILL_BLANK) {
+    const options = readQuestionOptions(question);
+    const caseSensitive = Boolean(options.case_sensitive);
+    const accepted = [question.correct_answer, ...(options.accepted_answers ?? [])];
+    const mapEntries = accepted
+      .map((a) => `      <mapEntry mapKey="${xmlEscape(a)}" mappedValue="${points}" caseSensitive="${caseSensitive}"/>`)
+      .join('\n');
+    return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${xmlEscape(question.correct_answer)}</value></correctResponse>
+    <mapping defaultValue="0">
+${mapEntries}
+    </mapping>
+  </responseDeclaration>
+${outcome}
+  <itemBody>
+    <p>${xmlEscape(question.question_text)} <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>
+  </itemBody>
+  <responseProcessing template="${QTI_TEMPLATE_MAP_RESPONSE}"/>
+</assessmentItem>
+`;
+  }
+
+  let choices;
+  let correct;
+  let cardinality = 'single';
+  if (question.question_type === QUESTION_TYPE_TRUE_FALSE) {
+    choices = [
+      { id: 'choice_true', text: question.true_label || 'True' },
+      { id: 'choice_false', text: question.false_label || 'False' },
+    ];
+    correct = [['true', '1'].includes(normalizeAnswer(question.correct_answer)) ? 'choice_true' : 'choice_false'];
+  } else {
+    choices = availableChoiceKeys(question).map((k) => ({ id: `choice_${k}`, text: question[`choice_${k}`] }));
+    if (question.question_type === QUESTION_TYPE_MULTI_SELECT) {
+      cardinality = 'multiple';
+      correct = toChoiceList(question.correct_answer).map((k) => `choice_${k}`);
+    } else {
+      // correct_answer อาจเป็น key (a-d) หรือข้อความของ choice
+      const answer = normalizeAnswer(question.correct_answer);
+      const byKey = CHOICE_KEYS.includes(answer) ? `choice_${answer}` : null;
+      const byText = choices.find((c) => normalizeAnswer(c.text) === answer)?.id;
+      correct = [byKey || byText].filter(Boolean);
+    }
+  }
+  if (!correct.length) return null;
+
+  const simpleChoices = choices
+    .map((c) => `      <simpleChoice identifier="${c.id}">${xmlEscape(c.text)}</simpleChoice>`)
+    .join('\n');
+  return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">
+    <correctResponse>
+${correct.map((c) => `      <value>${c}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>
+${outcome}
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${cardinality === 'multiple' ? 0 : 1}">
+      <prompt>${xmlEscape(question.question_text)}</prompt>
+${simpleChoices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${QTI_TEMPLATE_MATCH_CORRECT}"/>
+</assessmentItem>
+`;
+}
+
+// ตรวจว่า export เป็น QTI ได้ไหม → null หรือเหตุผล
+function qtiExportBlocker(question) {
+  if (question.question_type === QUESTION_TYPE_FILL_BLANK) return null;
+  if (question.question_type === QUESTION_TYPE_TRUE_FALSE) return null;
+  if (question.question_type === QUESTION_TYPE_ORDERING || question.question_type === QUESTION_TYPE_MATCHING) {
+    return `${question.question_type} questions are not supported by the QTI exporter`;
+  }
+  if (!isChoiceQuestion(question)) return 'Question has no choices to export';
+  return null;
+}
+
+function qtiManifestXml(quiz, itemRefs) {
+  const deps = itemRefs.map((r) => `      <dependency identifierref="${r.identifier}"/>`).join('\n');
+  const resources = itemRefs.map((r) => `    <resource identifier="${r.identifier}" type="imsqti_item_xmlv2p1" href="${r.href}">
+      <file href="${r.href}"/>
+    </resource>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-QUIZ-${quiz.quiz_id}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="TEST-${quiz.quiz_id}" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${deps}
+    </resource>
+${resources}
+  </resources>
+</manifest>
+`;
+}
+
+function qtiTestXml(quiz, itemRefs) {
+  const refs = itemRefs
+    .map((r) => `        <assessmentItemRef identifier="${r.identifier}" href="${r.href}"/>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NS}" identifier="TEST-${quiz.quiz_id}" title="${xmlEscape(quiz.quiz_name)}">
+  <testPart identifier="PART-1" navigationMode="linear" submissionMode="simultaneous">
+    <assessmentSection identifier="SECTION-1" title="${xmlEscape(quiz.quiz_name)}" visible="true">
+${refs}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+// Import QTI zip → สร้าง m_quiz ใหม่ใต้ subject_id (item ที่รองรับไม่ได้จะถูกรายงานใน unsupported)
+app.post(
+  '/quizzes/qti/import',
+  protect('/quizzes/qti/import'),
+  express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: process.env.QTI_UPLOAD_LIMIT || '20mb'
+  }),
+  async (req, res, next) => {
+    try {
+      const subjectId = req.query.subject_id;
+      if (!isPositiveInt(subjectId)) return fail(res, 'subject_id is required', 400);
+      if (!Buffer.isBuffer(req.body) || !req.body.length) return fail(res, 'Body must be a QTI zip package', 400);
+
+      const [subjects] = await pool.execute(
+        `SELECT subject_id FROM m_subject WHERE subject_id = ? LIMIT 1`,
+        [subjectId]
+      );
+      if (!subjects.length) return fail(res, 'Subject not found', 404);
+
+      let zip;
+      try {
+        zip = new AdmZip(req.body);
+        zip.getEntries();
+      } catch (e) {
+        return fail(res, 'Invalid zip file', 400);
+      }
+      const tooLarge = checkZipSize(zip);
+      if (tooLarge) return fail(res, tooLarge, 413);
+
+      const rows = [];
+      const unsupported = [];
+      for (const file of qtiItemFiles(zip)) {
+        const entry = zip.getEntry(file);
+        if (!entry) {
+          unsupported.push({ file, reason: 'File listed in manifest not found' });
+          continue;
+        }
+
+        // ไม่มี manifest จะได้ทุกไฟล์ .xml → ข้าม assessmentTest (มีแค่ assessmentItemRef) เงียบๆ
+        const xml = readZipText(entry);
+        if (!/<(\w+:)?assessmentItem[\s>]/.test(xml)) continue;
 
-    return ok(res, 'Replace m_organization (PUT) successful', rows[0]);
+        let parsed;
+        try {
+          parsed = qtiItemToQuestion(xml);
+        } catch (e) {
+          parsed = { error: 'Invalid XML' };
+        }
+        if (parsed.error) {
+          unsupported.push({ file, reason: parsed.error });
+          continue;
+        }
+
+        const prepared = prepareImportedQuestion({ ...parsed.question, sort_order: rows.length + 1 });
+        if (prepared.error) unsupported.push({ file, reason: prepared.error });
+        else rows.push(prepared.row);
+      }
+      if (!rows.length) return fail(res, 'No supported QTI items found', 400, { unsupported });
+
+      const quizName = cleanText(req.query.quiz_name) || qtiTestTitle(zip) || 'Imported QTI quiz';
+
+      const imported = await withTransaction(async (conn) => {
+        const [quizResult] = await conn.execute(
+          `INSERT INTO m_quiz (subject_id, quiz_name, active_status) VALUES (?, ?, 1)`,
+          [subjectId, quizName]
+        );
+
+        for (const row of rows) {
+          const payload = { quiz_id: quizResult.insertId, ...row };
+          const cols = Object.keys(payload);
+          await conn.execute(
+            `INSERT INTO t_quiz_question (${cols.join(',')}) VALUES (${cols.map(() => '?').join(',')})`,
+            Object.values(payload)
+          );
+        }
+        return quizResult.insertId;
+      });
+
+      return ok(res, 'Import QTI package successful', {
+        quiz: await getQuizById(imported),
+        imported_count: rows.length,
+        unsupported
+      }, 201);
+    } catch (e) { next(e); }
+  }
+);
+
+// Export quiz → QTI zip (question ที่ export ไม่ได้แจ้งใน header X-QTI-Skipped)
+app.get('/quizzes/:id/qti/export', protect('/quizzes/:id/qti/export'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+
+    const quiz = await getQuizById(req.params.id);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+
+    const questions = await getQuizQuestions(quiz.quiz_id);
+
+    const zip = new AdmZip();
+    const itemRefs = [];
+    const skipped = [];
+    for (const q of questions) {
+      const blocker = qtiExportBlocker(q);
+      const xml = blocker ? null : qtiItemXml(q, `ITEM-${q.question_id}`);
+      if (!xml) {
+        skipped.push({ question_id: q.question_id, reason: blocker || 'correct_answer does not match any choice' });
+        continue;
+      }
+
+      const ref = { identifier: `ITEM-${q.question_id}`, href: `items/item-${q.question_id}.xml` };
+      zip.addFile(ref.href, Buffer.from(xml, 'utf8'));
+      itemRefs.push(ref);
+    }
+    if (!itemRefs.length) return fail(res, 'Quiz has no questions that can be exported to QTI', 400, { skipped });
+
+    zip.addFile('assessment.xml', Buffer.from(qtiTestXml(quiz, itemRefs), 'utf8'));
+    zip.addFile('imsmanifest.xml', Buffer.from(qtiManifestXml(quiz, itemRefs), 'utf8'));
 
+    res.type('application/zip');
+    res.attachment(`quiz-${quiz.quiz_id}-qti.zip`);
+    if (skipped.length) res.set('X-QTI-Skipped', JSON.stringify(skipped));
+    return res.send(zip.toBuffer());
   } catch (e) { next(e); }
 });
 
 // =========================
-// DELETE
+// Question bank (คำถามกลางใช้ซ้ำได้หลาย quiz + tag / subject / difficulty)
+// quiz อ้างถึง bank ผ่านแถว link ใน t_quiz_question (bank_question_id) ที่ sync เนื้อหาทุกครั้งที่แก้ bank
 // =========================
-organizationRouter.delete('/:id', async (req, res, next) => {
-  try {
-    if (!isPositiveInt(req.params.id)) {
-      return fail(res, 'Invalid id format', 400);
-    }
+const TAG_MAX_LENGTH = 64;
+
+// field เนื้อหาคำถามที่ copy จาก bank ไปแถว link
+const BANK_CONTENT_FIELDS = [
+  'difficulty',
+  'question_text',
+  'question_type',
+  'choice_a', 'choice_b', 'choice_c', 'choice_d',
+  'true_label', 'false_label',
+  'correct_answer',
+  'question_options',
+  'score',
+  'partial_credit',
+  'wrong_penalty'
+];
+const BANK_FIELDS = ['subject_id', ...BANK_CONTENT_FIELDS, 'active_status'];
+const BANK_REQUIRED = ['question_text', 'question_type', 'correct_answer'];
+
+// รับได้ทั้ง array และ "dosage, renal" → lower-case ไม่ซ้ำ
+function normalizeTags(val) {
+  const list = Array.isArray(val) ? val : String(val ?? '').split(',');
+  const tags = list.map((t) => String(t ?? '').trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
 
-    const [rows] = await pool.execute(
-      `SELECT organization_id, email, name, code
-       FROM m_organization
-       WHERE organization_id = ?
-       LIMIT 1`,
-      [req.params.id]
-    );
+function validateBankQuestion(row) {
+  // m_bank_question.difficulty เป็น NOT NULL (ไม่ส่ง = ค่าเริ่มต้น medium)
+  if (row.difficulty === null) return 'difficulty cannot be null';
+  if (row.subject_id !== undefined && row.subject_id !== null && !isPositiveInt(row.subject_id)) {
+    return 'subject_id must be a positive integer';
+  }
+  return validateQuestion(row);
+}
 
-    if (!rows.length) return fail(res, 'Not found', 404);
+function validateTags(tags) {
+  if (tags.some((t) => t.length > TAG_MAX_LENGTH)) return `tags must be at most ${TAG_MAX_LENGTH} characters`;
+  return null;
+}
 
-    await pool.execute(
-      `DELETE FROM m_organization
-       WHERE organization_id = ?`,
-      [req.params.id]
-    );
+async function attachBankTags(rows) {
+  if (!rows.length) return rows;
+  const ids = rows.map((r) => r.bank_question_id);
+  const [tags] = await pool.query(
+    `SELECT bank_question_id, tag FROM t_bank_question_tag WHERE bank_question_id IN (?) ORDER BY tag`,
+    [ids]
+  );
+  return rows.map((r) => ({
+    ...r,
+    tags: tags.filter((t) => t.bank_question_id === r.bank_question_id).map((t) => t.tag)
+  }));
+}
 
-    return ok(res, 'Delete m_organization successful', rows[0]);
+async function getBankQuestion(bankQuestionId, conn = pool) {
+  const [rows] = await conn.execute(
+    `SELECT * FROM m_bank_question WHERE bank_question_id = ? LIMIT 1`,
+    [bankQuestionId]
+  );
+  return rows[0] || null;
+}
 
-  } catch (e) { next(e); }
-});
+async function saveBankTags(conn, bankQuestionId, tags) {
+  await conn.execute(`DELETE FROM t_bank_question_tag WHERE bank_question_id = ?`, [bankQuestionId]);
+  if (!tags.length) return;
+  await conn.query(
+    `INSERT INTO t_bank_question_tag (bank_question_id, tag) VALUES ?`,
+    [tags.map((tag) => [bankQuestionId, tag])]
+  );
+}
 
-app.use('/organizations', organizationRouter);
+// แก้ bank แล้ว copy เนื้อหาไปทุก quiz ที่ใช้ (attempt เดิมยังใช้ snapshot ของตัวเอง)
+async function syncBankQuestionLinks(conn, bank) {
+  const cols = [...BANK_CONTENT_FIELDS, 'active_status', 'bank_version'];
+  await conn.execute(
+    `UPDATE t_quiz_question SET ${cols.map((c) => `${c} = ?`).join(', ')} WHERE bank_question_id = ?`,
+    [
+      ...BANK_CONTENT_FIELDS.map((f) => bank[f] ?? null),
+      bank.active_status ?? 1,
+      bank.version,
+      bank.bank_question_id
+    ]
+  );
+}
 
+// หา/สร้างแถว link ของ bank question ใน quiz (ruleId = null คืออ้างตรง, มีค่าคือดึงมาจาก rule)
+// (bank_question_id, rule) → key ของ unique (quiz_id, bank_link_key)
+function bankLinkKey(bankQuestionId, ruleId) {
+  return `${bankQuestionId}:${ruleId || 0}`;
+}
 
-// =========================
-// Custom CRUD: m_user (hash password + hide password)
-// =========================
-const userRouter = express.Router();
+// เริ่ม attempt พร้อมกันหลายคน → unique key + ON DUPLICATE KEY กันแถวซ้ำ
+async function ensureBankLink(conn, quizId, bank, ruleId = null, sortOrder = null) {
+  const key = bankLinkKey(bank.bank_question_id, ruleId);
+  // locking read เห็นแถวที่อีก transaction เพิ่ง commit
+  const select = (lock) => conn.execute(
+    `SELECT * FROM t_quiz_question WHERE quiz_id = ? AND bank_link_key = ? LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+    [quizId, key]
+  );
+  const [exist] = await select(false);
+  if (exist.length) return exist[0];
+
+  const payload = { quiz_id: quizId, sort_order: sortOrder };
+  for (const f of BANK_CONTENT_FIELDS) payload[f] = bank[f] ?? null;
+  Object.assign(payload, {
+    active_status: bank.active_status ?? 1,
+    bank_question_id: bank.bank_question_id,
+    bank_rule_id: ruleId,
+    bank_version: bank.version,
+    bank_link_key: key
+  });
 
-userRouter.get('/', async (req, res, next) => {
+  const cols = Object.keys(payload);
+  await conn.execute(
+    `INSERT INTO t_quiz_question (${cols.join(',')}) VALUES (${cols.map(() => '?').join(',')})
+     ON DUPLICATE KEY UPDATE bank_link_key = bank_link_key`,
+    Object.values(payload)
+  );
+  const [rows] = await select(true);
+  return rows[0];
+}
+
+function validateBankRule(row) {
+  if (row.pick_count !== undefined && row.pick_count !== null && !isPositiveInt(row.pick_count)) {
+    return 'pick_count must be a positive integer';
+  }
+  if (row.difficulty !== undefined && row.difficulty !== null && !DIFFICULTY_LEVELS.includes(row.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+  }
+  if (row.subject_id !== undefined && row.subject_id !== null && !isPositiveInt(row.subject_id)) {
+    return 'subject_id must be a positive integer';
+  }
+  if (row.tag !== undefined && row.tag !== null) {
+    const [tag] = normalizeTags(row.tag);
+    if (!tag) return 'tag must not be empty';
+    if (tag.length > TAG_MAX_LENGTH) return `tag must be at most ${TAG_MAX_LENGTH} characters`;
+    row.tag = tag;
+  }
+  return null;
+}
+
+// สุ่ม bank question ตาม rule ของ quiz เช่น 5 easy + 3 hard tag dosage (ไม่ซ้ำกับข้อที่อ้างตรงอยู่แล้ว)
+// ถ้า bank มีไม่พอ rule นั้นจะได้เท่าที่มี (เรียกใน transaction → ensureBankLink ใช้ conn เดียวกัน)
+async function drawBankRuleQuestions(conn, quizId, excludeBankIds = []) {
+  const [rules] = await conn.execute(
+    `SELECT * FROM t_quiz_bank_rule WHERE quiz_id = ? ORDER BY rule_id ASC`,
+    [quizId]
+  );
+
+  const used = new Set(excludeBankIds.map(Number));
+  const picked = [];
+  for (const rule of rules) {
+    const where = ['b.active_status = 1'];
+    const params = [];
+    if (rule.difficulty) { where.push('b.difficulty = ?'); params.push(rule.difficulty); }
+    if (rule.subject_id) { where.push('b.subject_id = ?'); params.push(rule.subject_id); }
+    if (rule.tag) {
+      where.push('EXISTS (SELECT 1 FROM t_bank_question_tag t WHERE t.bank_question_id = b.bank_question_id AND t.tag = ?)');
+      params.push(rule.tag);
+    }
+    if (used.size) { where.push('b.bank_question_id NOT IN (?)'); params.push([...used]); }
+
+    const [banks] = await conn.query(
+      `SELECT b.* FROM m_bank_question b WHERE ${where.join(' AND ')} ORDER BY RAND() LIMIT ?`,
+      [...params, Number(rule.pick_count)]
+    );
+    for (const bank of banks) {
+      used.add(bank.bank_question_id);
+      picked.push(await ensureBankLink(conn, quizId, bank, rule.rule_id));
+    }
+  }
+  return picked;
+}
+
+const bankRouter = express.Router();
+
+// List (?tag=&difficulty=&subject_id=)
+bankRouter.get('/', async (req, res, next) => {
   try {
+    const where = ['1 = 1'];
+    const params = [];
+    if (req.query.difficulty) { where.push('b.difficulty = ?'); params.push(String(req.query.difficulty)); }
+    if (req.query.subject_id) {
+      if (!isPositiveInt(req.query.subject_id)) return fail(res, 'Invalid subject_id', 400);
+      where.push('b.subject_id = ?');
+      params.push(req.query.subject_id);
+    }
+    const [tag] = normalizeTags(req.query.tag);
+    if (tag) {
+      where.push('EXISTS (SELECT 1 FROM t_bank_question_tag t WHERE t.bank_question_id = b.bank_question_id AND t.tag = ?)');
+      params.push(tag);
+    }
+
     const [rows] = await pool.execute(
-      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, created_date, updated_date
-       FROM m_user
-       ORDER BY user_id DESC`
+      `SELECT b.* FROM m_bank_question b WHERE ${where.join(' AND ')} ORDER BY b.bank_question_id DESC`,
+      params
     );
-    return ok(res, 'Get m_user successful', rows);
+    return ok(res, 'Get question bank successful', await attachBankTags(rows));
   } catch (e) { next(e); }
 });
 
-userRouter.get('/:id', async (req, res, next) => {
+// Get by id (+ quiz ที่ใช้อยู่)
+bankRouter.get('/:id', async (req, res, next) => {
   try {
     if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
 
-    const [rows] = await pool.execute(
-      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, created_date, updated_date
-       FROM m_user WHERE user_id = ? LIMIT 1`,
-      [req.params.id]
+    const bank = await getBankQuestion(req.params.id);
+    if (!bank) return fail(res, 'Bank question not found', 404);
+
+    const [quizzes] = await pool.execute(
+      `SELECT DISTINCT quiz_id FROM t_quiz_question WHERE bank_question_id = ? ORDER BY quiz_id`,
+      [bank.bank_question_id]
     );
-    if (!rows.length) return fail(res, 'Not found', 404);
-    return ok(res, 'Get m_user successful', rows[0]);
+    const [withTags] = await attachBankTags([bank]);
+    return ok(res, 'Get bank question successful', { ...withTags, quiz_ids: quizzes.map((q) => q.quiz_id) });
   } catch (e) { next(e); }
 });
 
-userRouter.post('/', async (req, res, next) => {
+// Create
+bankRouter.post('/', async (req, res, next) => {
   try {
-    const {
-      organization_id, group_id,
-      email, license, password,
-      picture, active_status
-    } = req.body || {};
+    const payload = {};
+    for (const f of BANK_FIELDS) if (f in req.body) payload[f] = req.body[f];
 
-    if (!email) return fail(res, 'email is required', 400);
-    if (!password) return fail(res, 'password is required', 400);
+    const missing = BANK_REQUIRED.filter((f) => payload[f] === undefined || payload[f] === null || payload[f] === '');
+    if (missing.length) return fail(res, `Missing required: ${missing.join(', ')}`, 400);
 
-    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    const invalid = validateBankQuestion(payload);
+    if (invalid) return fail(res, invalid, 400);
 
-    const [result] = await pool.execute(
-      `INSERT INTO m_user (organization_id, group_id, email, license, password, picture, active_status)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        organization_id ?? null,
-        group_id ?? null,
-        email,
-        license ?? null,
-        hash,
-        picture ?? null,
-        active_status ?? 1
-      ]
-    );
+    const tags = normalizeTags(req.body.tags);
+    const tagError = validateTags(tags);
+    if (tagError) return fail(res, tagError, 400);
 
-    const [rows] = await pool.execute(
-      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, created_date, updated_date
-       FROM m_user WHERE user_id = ? LIMIT 1`,
-      [result.insertId]
-    );
+    const id = await withTransaction(async (conn) => {
+      const cols = Object.keys(payload);
+      const [result] = await conn.execute(
+        `INSERT INTO m_bank_question (${cols.join(',')}) VALUES (${cols.map(() => '?').join(',')})`,
+        Object.values(payload)
+      );
+      await saveBankTags(conn, result.insertId, tags);
+      return result.insertId;
+    });
 
-    return ok(res, 'Create m_user successful', rows[0], 201);
-  } catch (e) {
-    if (e.code === 'ER_DUP_ENTRY') return fail(res, 'User email already exists', 409);
-    next(e);
-  }
+    const [created] = await attachBankTags([await getBankQuestion(id)]);
+    return ok(res, 'Create bank question successful', created, 201);
+  } catch (e) { next(e); }
 });
 
-userRouter.patch('/:id', async (req, res, next) => {
+// PATCH (version + 1 แล้ว sync ไปทุก quiz ที่ใช้)
+bankRouter.patch('/:id', async (req, res, next) => {
   try {
     if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
 
-    const fields = [];
-    const values = [];
-
-    const allow = ['organization_id','group_id','email','license','password','picture','active_status'];
-    for (const k of allow) {
-      if (k in (req.body || {})) {
-        if (k === 'password') {
-          const hash = await bcrypt.hash(req.body.password, SALT_ROUNDS);
-          fields.push('password = ?'); values.push(hash);
-        } else {
-          fields.push(`${k} = ?`); values.push(req.body[k]);
-        }
-      }
-    }
-
-    if (!fields.length) return fail(res, 'No updatable fields', 400);
-
-    const [exist] = await pool.execute(`SELECT user_id FROM m_user WHERE user_id = ? LIMIT 1`, [req.params.id]);
-    if (!exist.length) return fail(res, 'Not found', 404);
+    const patch = {};
+    for (const f of BANK_FIELDS) if (f in req.body) patch[f] = req.body[f];
+    const hasTags = 'tags' in req.body;
+    if (!Object.keys(patch).length && !hasTags) return fail(res, 'No updatable fields', 400);
 
-    values.push(req.params.id);
-    await pool.execute(`UPDATE m_user SET ${fields.join(', ')} WHERE user_id = ?`, values);
+    const tags = hasTags ? normalizeTags(req.body.tags) : null;
+    const tagError = hasTags ? validateTags(tags) : null;
+    if (tagError) return fail(res, tagError, 400);
 
-    const [rows] = await pool.execute(
-      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, created_date, updated_date
-       FROM m_user WHERE user_id = ? LIMIT 1`,
-      [req.params.id]
-    );
+    const result = await withTransaction(async (conn) => {
+      const [exist] = await conn.execute(
+        `SELECT * FROM m_bank_question WHERE bank_question_id = ? LIMIT 1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (!exist.length) return { status: 404, message: 'Bank question not found' };
+
+      const merged = { ...exist[0], ...patch };
+      const invalid = validateBankQuestion(merged);
+      if (invalid) return { status: 400, message: invalid };
+      for (const k of Object.keys(patch)) patch[k] = merged[k];
+
+      // เปลี่ยนแค่ tag ไม่นับเป็น version ใหม่ (ไม่กระทบเนื้อหาที่ผู้เรียนเห็น)
+      if (Object.keys(patch).length) {
+        const sets = Object.keys(patch).map((k) => `${k} = ?`).join(', ');
+        await conn.execute(
+          `UPDATE m_bank_question SET ${sets}, version = version + 1 WHERE bank_question_id = ?`,
+          [...Object.values(patch), req.params.id]
+        );
+        await syncBankQuestionLinks(conn, await getBankQuestion(req.params.id, conn));
+      }
+      if (hasTags) await saveBankTags(conn, req.params.id, tags);
+      return null;
+    });
+    if (result) return fail(res, result.message, result.status);
 
-    return ok(res, 'Update m_user (PATCH) successful', rows[0]);
+    const [updated] = await attachBankTags([await getBankQuestion(req.params.id)]);
+    return ok(res, 'Update bank question successful', updated);
   } catch (e) { next(e); }
 });
 
-userRouter.put('/:id', async (req, res, next) => {
+// Delete (ถ้ามี quiz ใช้อยู่ให้ปิดด้วย active_status = 0 แทน)
+bankRouter.delete('/:id', async (req, res, next) => {
   try {
     if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
 
-    const {
-      organization_id, group_id,
-      email, license, password,
-      picture, active_status
-    } = req.body || {};
-
-    const missing = [];
-    if (!email) missing.push('email');
-    if (!password) missing.push('password');
-    if (missing.length) return fail(res, `PUT requires: ${missing.join(', ')}`, 400);
+    const bank = await getBankQuestion(req.params.id);
+    if (!bank) return fail(res, 'Bank question not found', 404);
 
-    const [exist] = await pool.execute(`SELECT user_id FROM m_user WHERE user_id = ? LIMIT 1`, [req.params.id]);
-    if (!exist.length) return fail(res, 'Not found', 404);
+    const [links] = await pool.execute(
+      `SELECT question_id FROM t_quiz_question WHERE bank_question_id = ? LIMIT 1`,
+      [bank.bank_question_id]
+    );
+    if (links.length) return fail(res, 'Bank question is used by quizzes, set active_status = 0 instead', 409);
 
-    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    await withTransaction(async (conn) => {
+      await conn.execute(`DELETE FROM t_bank_question_tag WHERE bank_question_id = ?`, [bank.bank_question_id]);
+      await conn.execute(`DELETE FROM m_bank_question WHERE bank_question_id = ?`, [bank.bank_question_id]);
+    });
+    return ok(res, 'Delete bank question successful', bank);
+  } catch (e) { next(e); }
+});
 
-    await pool.execute(
-      `UPDATE m_user
-       SET organization_id = ?, group_id = ?, email = ?, license = ?, password = ?, picture = ?, active_status = ?
-       WHERE user_id = ?`,
-      [
-        organization_id ?? null,
-        group_id ?? null,
-        email,
-        license ?? null,
-        hash,
-        picture ?? null,
-        active_status ?? 1,
-        req.params.id
-      ]
-    );
+app.use('/question-bank', protect('/question-bank'), bankRouter);
 
-    const [rows] = await pool.execute(
-      `SELECT user_id, organization_id, group_id, email, license, picture, active_status, created_date, updated_date
-       FROM m_user WHERE user_id = ? LIMIT 1`,
-      [req.params.id]
-    );
+// อ้าง bank question ตรงๆ ใน quiz
+app.post('/quizzes/:id/bank-items', protect('/quizzes/:id/bank-items'), async (req, res, next) => {
+  try {
+    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    const bankQuestionId = req.body?.bank_question_id;
+    if (!isPositiveInt(bankQuestionId)) return fail(res, 'bank_question_id is required', 400);
+
+    const quiz = await getQuizById(req.params.id);
+    if (!quiz) return fail(res, 'Quiz not found', 404);
+
+    const bank = await getBankQuestion(bankQuestionId);
+    if (!bank) return fail(res, 'Bank question not found', 404);
+    if (Number(bank.active_status) === 0) return fail(res, 'Bank question is inactive', 409);
+
+    const link = await withTransaction(async (conn) => {
+      const [exist] = await conn.execute(
+        `SELECT question_id FROM t_quiz_question
+         WHERE quiz_id = ? AND bank_question_id = ? AND bank_rule_id IS NULL
+         LIMIT 1 FOR UPDATE`,
+        [quiz.quiz_id, bank.bank_question_id]
+      );
+      if (exist.length) return null;
+      return ensureBankLink(conn, quiz.quiz_id, bank, null, req.body.sort_order ?? null);
+    });
+    if (!link) return fail(res, 'Bank question already in quiz', 409);
 
-    return ok(res, 'Replace m_user (PUT) successful', rows[0]);
+    return ok(res, 'Add bank question to quiz successful', link, 201);
   } catch (e) { next(e); }
 });
 
-userRouter.delete('/:id', async (req, res, next) => {
+// เอา bank question ออกจาก quiz (attempt เดิมยังเปิด review ได้จาก snapshot)
+app.delete('/quizzes/:id/bank-items/:bankQuestionId', protect('/quizzes/:id/bank-items'), async (req, res, next) => {
   try {
-    if (!isPositiveInt(req.params.id)) return fail(res, 'Invalid id format', 400);
+    if (!isPositiveInt(req.params.id) || !isPositiveInt(req.params.bankQuestionId)) {
+      return fail(res, 'Invalid id format', 400);
+    }
 
     const [rows] = await pool.execute(
-      `SELECT user_id, email
-       FROM m_user WHERE user_id = ? LIMIT 1`,
-      [req.params.id]
+      `SELECT * FROM t_quiz_question
+       WHERE quiz_id = ? AND bank_question_id = ? AND bank_rule_id IS NULL
+       LIMIT 1`,
+      [req.params.id, req.params.bankQuestionId]
     );
-    if (!rows.length) return fail(res, 'Not found', 404);
+    if (!rows.length) return fail(res, 'Bank question not in quiz', 404);
 
-    await pool.execute(`DELETE FROM m_user WHERE user_id = ?`, [req.params.id]);
-    return ok(res, 'Delete m_user successful', rows[0]);
+    await pool.execute(`DELETE FROM t_quiz_question WHERE question_id = ?`, [rows[0].question_id]);
+    return ok(res, 'Remove bank question from quiz successful', rows[0]);
   } catch (e) { next(e); }
 });
 
-app.use('/users', userRouter);
-
 // =========================
 // Register CRUD for remaining tables (ใช้ factory เดิม)
 // =========================
 
+// m_user (router custom ด้านบน) mount หลัง route เดี่ยวใต้ /users เช่น /users/:id/badges
+app.use('/users', protect('/users'), userRouter);
+
 // group
-app.use('/groups', createCrudRouter({
+app.use('/groups', protect('/groups'), createCrudRouter({
   table: '`m_group`',
   pk: 'group_id',
   fields: ['group_name', 'organization_id', 'active_status'],
   requiredOnCreate: ['group_name'],
+  tenant: { column: 'organization_id' },
 }));
 
-// user_stat
-app.use('/user-stats', createCrudRouter({
+// user_stat (อ่านอย่างเดียว)
+// level / exp / point / streak คำนวณที่ server เท่านั้น (rewards engine + streaks + point ledger)
+app.use('/user-stats', protect('/user-stats'), createCrudRouter({
   table: 't_user_stat',
   pk: 'stat_id',
-  fields: ['user_id', 'level', 'exp', 'streak', 'point'],
+  fields: ['user_id'],
   requiredOnCreate: ['user_id'],
+  tenant: { userColumn: 'user_id' },
 }));
 
-// user_course_score
-app.use('/user-course-scores', createCrudRouter({
+// user_course_score (อ่านอย่างเดียว คำนวณจาก syncCourseProgress)
+app.use('/user-course-scores', protect('/user-course-scores'), createCrudRouter({
   table: 't_user_course_score',
   pk: 'score_id',
   fields: ['user_id', 'course_score', 'course_id'],
   requiredOnCreate: ['user_id', 'course_score', 'course_id'],
+  tenant: { userColumn: 'user_id' },
 }));
 
 // m_course
-app.use('/courses', createCrudRouter({
+app.use('/courses', protect('/courses'), createCrudRouter({
   table: 'm_course',
   pk: 'course_id',
-  fields: ['course_name', 'desciption', 'active_status','mascot_id'],
+  fields: ['course_name', 'desciption', 'active_status', 'mascot_id', 'completion_rule', 'completion_threshold'],
   requiredOnCreate: ['course_name'],
+  validate: validateCourse,
 }));
 
 // m_subject
-app.use('/subjects', createCrudRouter({
+app.use('/subjects', protect('/subjects'), createCrudRouter({
   table: 'm_subject',
   pk: 'subject_id',
   fields: [
@@ -742,26 +6464,46 @@ app.use('/subjects', createCrudRouter({
     'sort_order',
     'subject_name',
     'subject_description',
-    'active_status'
+    'active_status',
+    'completion_rule',
+    'completion_threshold'
   ],
   requiredOnCreate: ['course_id', 'subject_name'],
+  validate: validateSubject,
 }));
 
 // m_quiz
-app.use('/quizzes', createCrudRouter({
+app.use('/quizzes', protect('/quizzes'), createCrudRouter({
   table: 'm_quiz',
   pk: 'quiz_id',
   fields: [
     'subject_id',
     'quiz_name',
     'quiz_description',
-    'active_status'
+    'active_status',
+    'shuffle_questions',
+    'shuffle_choices',
+    'draw_count',
+    'time_limit_seconds',
+    'late_policy',
+    'max_attempts',
+    'passing_score',
+    'retake_cooldown_seconds',
+    'score_policy',
+    'partial_credit',
+    'wrong_penalty',
+    'score_floor_zero',
+    'adaptive_mode',
+    'adaptive_max_items',
+    'adaptive_min_items',
+    'adaptive_stop_se'
   ],
   requiredOnCreate: ['subject_id', 'quiz_name'],
+  validate: validateQuizSettings,
 }));
 
 // t_quiz_question
-app.use('/quiz-questions', createCrudRouter({
+app.use('/quiz-questions', protect('/quiz-questions'), createCrudRouter({
   table: 't_quiz_question',
   pk: 'question_id',
   fields: [
@@ -771,15 +6513,29 @@ app.use('/quiz-questions', createCrudRouter({
     'choice_a', 'choice_b', 'choice_c', 'choice_d',
     'true_label', 'false_label',
     'correct_answer',
+    'question_options',
     'score',
+    'partial_credit',
+    'wrong_penalty',
+    'difficulty',
     'sort_order',
     'active_status'
   ],
   requiredOnCreate: ['quiz_id', 'question_text', 'question_type', 'correct_answer'],
+  validate: validateQuestion,
+}));
+
+// t_quiz_bank_rule
+app.use('/quiz-bank-rules', protect('/quiz-bank-rules'), createCrudRouter({
+  table: 't_quiz_bank_rule',
+  pk: 'rule_id',
+  fields: ['quiz_id', 'pick_count', 'difficulty', 'tag', 'subject_id'],
+  requiredOnCreate: ['quiz_id', 'pick_count'],
+  validate: validateBankRule,
 }));
 
 // t_quiz_attempt
-app.use('/quiz-attempts', createCrudRouter({
+app.use('/quiz-attempts', protect('/quiz-attempts'), createCrudRouter({
   table: 't_quiz_attempt',
   pk: 'attempt_id',
   fields: [
@@ -792,6 +6548,60 @@ app.use('/quiz-attempts', createCrudRouter({
     'submitted_at'
   ],
   requiredOnCreate: ['user_id', 'quiz_id'],
+  tenant: { userColumn: 'user_id', ownRows: true },
+}));
+
+// m_badge
+app.use('/badges', protect('/badges'), createCrudRouter({
+  table: 'm_badge',
+  pk: 'badge_id',
+  fields: ['badge_name', 'badge_description', 'picture', 'unlock_rule', 'sort_order', 'active_status'],
+  requiredOnCreate: ['badge_name', 'unlock_rule'],
+  validate: validateBadge,
+  present: presentBadge,
+  afterWrite: queueBadgeRecheck,
+}));
+
+// m_quest
+app.use('/quests', protect('/quests'), createCrudRouter({
+  table: 'm_quest',
+  pk: 'quest_id',
+  fields: [
+    'quest_name',
+    'quest_description',
+    'period_type',
+    'goal_type',
+    'goal_value',
+    'min_percent',
+    'course_id',
+    'reward_exp',
+    'reward_point',
+    'start_date',
+    'end_date',
+    'sort_order',
+    'active_status'
+  ],
+  requiredOnCreate: ['quest_name', 'period_type', 'goal_type', 'goal_value'],
+  validate: validateQuest,
+}));
+
+// t_course_assignment (organization_id มาจาก group / user ที่ได้รับมอบหมาย, organization มอบหมายได้เฉพาะใน org ตัวเอง)
+app.use('/course-assignments', protect('/course-assignments'), createCrudRouter({
+  table: 't_course_assignment',
+  pk: 'assignment_id',
+  fields: [
+    'course_id',
+    'group_id',
+    'user_id',
+    'start_date',
+    'due_date',
+    'is_mandatory',
+    'active_status'
+  ],
+  requiredOnCreate: ['course_id'],
+  tenant: { column: 'organization_id', userColumn: 'user_id' },
+  validate: validateCourseAssignment,
+  derive: deriveAssignmentOrganization,
 }));
 
 
@@ -921,7 +6731,7 @@ moderatorRouter.delete('/:id', async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-app.use('/moderators', moderatorRouter);
+app.use('/moderators', protect('/moderators'), moderatorRouter);
 
 // =========================
 // JWT + Refresh Token
@@ -997,10 +6807,22 @@ async function rotateRefreshToken(refreshToken) {
 
   await pool.execute(`UPDATE t_refresh_token SET revoked_at = NOW() WHERE token_id = ?`, [row.token_id]);
 
+  const extra = { typ: row.subject_type, sub: String(row.subject_id), role: row.subject_type };
+
+  // token ของ user ต้องพก organization_id/group_id ไว้ scope tenant → โหลดค่าปัจจุบันจาก m_user
+  if (row.subject_type === ROLE_USER) {
+    const [users] = await pool.execute(
+      `SELECT organization_id, group_id, license FROM m_user WHERE user_id = ? LIMIT 1`,
+      [row.subject_id]
+    );
+    if (!users.length) return { ok: false, reason: 'User not found' };
+    Object.assign(extra, users[0]);
+  }
+
   const tokens = await issueTokens({
     subjectType: row.subject_type,
     subjectId: row.subject_id,
-    extra: { typ: row.subject_type, sub: String(row.subject_id) }
+    extra
   });
 
   return { ok: true, ...tokens };
@@ -1331,4 +7153,40 @@ app.use((err, req, res, next) => {
   return fail(res, 'Internal server error', 500, null);
 });
 
-app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+// schema ต้องพร้อมก่อนรับ request (init ไม่ผ่าน → ปิด process)
+function start() {
+  initDb()
+    .then(() => {
+      app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+
+      // ปิด attempt / duel ที่หมดเวลาเป็นระยะ
+      setInterval(() => {
+        closeExpiredAttempts()
+          .catch((err) => console.error('Close expired attempts error:', err.message))
+          .then(() => closeExpiredDuels())
+          .catch((err) => console.error('Close expired duels error:', err.message));
+      }, EXPIRED_SWEEP_MS);
+    })
+    .catch((err) => {
+      console.error('MySQL init error:', err.message);
+      process.exit(1);
+    });
+}
+
+// require จาก test ได้โดยไม่ต่อ DB / เปิด port
+if (require.main === module) start();
+
+module.exports = {
+  app,
+  pool,
+  PERMISSIONS,
+  ROLE_MODERATOR,
+  ROLE_ORGANIZATION,
+  ROLE_USER,
+  protect,
+  authorize,
+  gradeQuestion,
+  questionRule,
+  validateQuestion,
+  postPointTransaction,
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api } = require('./helpers');
+
+const { gradeQuestion, questionRule, validateQuestion } = api;
+
+const mcq = { question_id: 1, question_type: 'mcq', choice_a: 'A', choice_b: 'B', choice_c: 'C', correct_answer: 'b', score: 2 };
+
+test('mcq is all or nothing and ignores case and spaces', () => {
+  assert.equal(gradeQuestion(mcq, ' B ').earned, 2);
+  assert.equal(gradeQuestion(mcq, 'a').earned, 0);
+  assert.equal(gradeQuestion(mcq, 'a').is_correct, false);
+});
+
+test('answers map back through the shuffled choice order', () => {
+  // ตำแหน่งที่เห็น a,b,c → key เดิม c,b,a
+  const order = ['c', 'b', 'a'];
+  assert.equal(gradeQuestion(mcq, 'b', order).is_correct, true);
+  assert.equal(gradeQuestion({ ...mcq, correct_answer: 'a' }, 'c', order).is_correct, true);
+});
+
+test('wrong_penalty applies to wrong answers only, not to unanswered ones', () => {
+  const quiz = { wrong_penalty: 0.5 };
+  assert.equal(gradeQuestion(mcq, 'a', null, quiz).earned, -0.5);
+  assert.equal(gradeQuestion(mcq, '', null, quiz).earned, 0);
+  assert.equal(gradeQuestion(mcq, undefined, null, quiz).detail.answered, false);
+  // ค่าของคำถามมาก่อนค่าของ quiz
+  assert.equal(gradeQuestion({ ...mcq, wrong_penalty: 0 }, 'a', null, quiz).earned, 0);
+});
+
+test('multi_select partial credit cancels a right pick with a wrong pick', () => {
+  const q = { question_id: 2, question_type: 'multi_select', choice_a: 'A', choice_b: 'B', choice_c: 'C', correct_answer: '["a","c"]', score: 4 };
+  const quiz = { partial_credit: 1 };
+
+  assert.equal(gradeQuestion(q, ['c', 'a']).earned, 4);
+  assert.equal(gradeQuestion(q, ['a']).earned, 0);
+  assert.equal(gradeQuestion(q, ['a'], null, quiz).earned, 2);
+  assert.equal(gradeQuestion(q, ['a', 'b'], null, quiz).earned, 0);
+  assert.equal(gradeQuestion(q, ['a', 'b', 'c'], null, quiz).earned, 2);
+});
+
+test('fill_blank accepts listed answers and honours case_sensitive', () => {
+  const q = {
+    question_id: 3,
+    question_type: 'fill_blank',
+    correct_answer: 'Bangkok',
+    question_options: JSON.stringify({ accepted_answers: ['Krung Thep'] })
+  };
+  assert.equal(gradeQuestion(q, '  bangkok ').is_correct, true);
+  assert.equal(gradeQuestion(q, 'krung   thep').is_correct, true);
+  assert.equal(gradeQuestion(q, 'Chiang Mai').is_correct, false);
+
+  const strict = { ...q, question_options: JSON.stringify({ case_sensitive: true }) };
+  assert.equal(gradeQuestion(strict, 'bangkok').is_correct, false);
+  assert.equal(gradeQuestion(strict, 'Bangkok').is_correct, true);
+});
+
+test('ordering and matching give partial credit per item in place', () => {
+  const quiz = { partial_credit: 1 };
+  const ordering = { question_id: 4, question_type: 'ordering', correct_answer: '["one","two","three","four"]', score: 4 };
+  assert.equal(gradeQuestion(ordering, ['one', 'two', 'three', 'four']).earned, 4);
+  assert.equal(gradeQuestion(ordering, ['one', 'two', 'four', 'three'], null, quiz).earned, 2);
+
+  const matching = { question_id: 5, question_type: 'matching', correct_answer: '{"cat":"meow","dog":"woof"}', score: 2 };
+  assert.equal(gradeQuestion(matching, { cat: 'meow', dog: 'woof' }).is_correct, true);
+  assert.equal(gradeQuestion(matching, { cat: 'meow', dog: 'meow' }, null, quiz).earned, 1);
+});
+
+test('ordering options do not reveal the answer', () => {
+  const q = { question_id: 6, question_type: 'ordering', correct_answer: '["a","b","c"]' };
+  const { items } = questionRule(q).publicOptions(q);
+  assert.deepEqual([...items].sort(), ['a', 'b', 'c']);
+  assert.notDeepEqual(items, ['a', 'b', 'c']);
+});
+
+test('validateQuestion rejects unknown types and bad answers', () => {
+  assert.match(validateQuestion({ question_type: 'essay', correct_answer: 'x' }), /question_type must be one of/);
+  assert.equal(validateQuestion({ question_type: 'mcq', correct_answer: 'a' }), null);
+  assert.match(
+    validateQuestion({ question_type: 'multi_select', choice_a: 'A', choice_b: 'B', correct_answer: 'a,d' }),
+    /unknown choices: d/
+  );
+  assert.match(validateQuestion({ question_type: 'ordering', correct_answer: '["a","A"]' }), /unique/);
+});
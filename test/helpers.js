@@ -0,0 +1,28 @@
+// require api.js สำหรับ test (ไม่ต่อ DB / ไม่เปิด port)
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-secret';
+
+const api = require('../api');
+
+// res ปลอมของ express: เก็บ status + body ที่ตอบกลับ
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+// รัน middleware ตามลำดับจนกว่าจะมีตัวที่ตอบกลับ → { passed, res }
+function runMiddleware(handlers, req) {
+  const res = fakeRes();
+  let passed = true;
+  for (const handler of handlers) {
+    let calledNext = false;
+    handler(req, res, () => { calledNext = true; });
+    if (!calledNext) { passed = false; break; }
+  }
+  return { passed, res };
+}
+
+module.exports = { api, fakeRes, runMiddleware };
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { api, runMiddleware } = require('./helpers');
+
+const { PERMISSIONS, ROLE_MODERATOR, ROLE_ORGANIZATION, ROLE_USER, protect, authorize } = api;
+
+function tokenFor(role, extra = {}) {
+  return jwt.sign({ sub: 5, role, ...extra }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '5m' });
+}
+
+function request(path, method, role, extra) {
+  const headers = role ? { authorization: `Bearer ${tokenFor(role, extra)}` } : {};
+  return runMiddleware(protect(path), { method, headers });
+}
+
+test('protect rejects requests without a valid token', () => {
+  assert.equal(request('/courses', 'GET').res.statusCode, 401);
+
+  const bad = runMiddleware(protect('/courses'), { method: 'GET', headers: { authorization: 'Bearer nope' } });
+  assert.equal(bad.passed, false);
+  assert.equal(bad.res.statusCode, 401);
+});
+
+test('protect rejects tokens with an unknown role', () => {
+  const { passed, res } = request('/courses', 'GET', 'admin');
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('read and write follow the permission map per role', () => {
+  assert.equal(request('/courses', 'GET', ROLE_USER).passed, true);
+  assert.equal(request('/courses', 'POST', ROLE_USER).res.statusCode, 403);
+  assert.equal(request('/courses', 'POST', ROLE_MODERATOR).passed, true);
+  assert.equal(request('/courses', 'HEAD', ROLE_ORGANIZATION).passed, true);
+});
+
+test('question answers are readable by moderators only', () => {
+  assert.equal(request('/quiz-questions', 'GET', ROLE_USER).res.statusCode, 403);
+  assert.equal(request('/quiz-questions', 'GET', ROLE_ORGANIZATION).res.statusCode, 403);
+  assert.equal(request('/quiz-questions', 'GET', ROLE_MODERATOR).passed, true);
+});
+
+test('server-computed tables are read-only for every role', () => {
+  for (const path of ['/user-stats', '/user-course-scores']) {
+    assert.deepEqual(PERMISSIONS[path].write, []);
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+      assert.equal(request(path, method, ROLE_MODERATOR).res.statusCode, 403, `${method} ${path}`);
+    }
+    assert.equal(request(path, 'GET', ROLE_USER).passed, true);
+  }
+});
+
+test('quiz taking routes are for users only', () => {
+  assert.equal(request('/quiz-attempts/:id/submit', 'POST', ROLE_USER).passed, true);
+  assert.equal(request('/quiz-attempts/:id/submit', 'POST', ROLE_MODERATOR).res.statusCode, 403);
+  // route ที่ไม่มี read → GET ถูกปฏิเสธ
+  assert.equal(request('/quiz-attempts/:id/submit', 'GET', ROLE_USER).res.statusCode, 403);
+});
+
+test('req.auth takes the organization from the token', () => {
+  const req = { method: 'GET', headers: { authorization: `Bearer ${tokenFor(ROLE_USER, { organization_id: 3, group_id: 4 })}` } };
+  runMiddleware(protect('/groups'), req);
+  assert.deepEqual(req.auth, { role: ROLE_USER, subject_id: 5, organization_id: 3, group_id: 4 });
+
+  const orgReq = { method: 'GET', headers: { authorization: `Bearer ${tokenFor(ROLE_ORGANIZATION, { organization_id: 99 })}` } };
+  runMiddleware(protect('/groups'), orgReq);
+  // token ของ organization ใช้ sub เป็น organization_id เสมอ
+  assert.equal(orgReq.auth.organization_id, 5);
+});
+
+test('a method key overrides read/write', () => {
+  const guard = authorize({ write: [ROLE_MODERATOR, ROLE_USER], DELETE: [ROLE_MODERATOR] });
+  const as = (role, method) => runMiddleware([guard], { method, auth: { role } });
+
+  assert.equal(as(ROLE_USER, 'POST').passed, true);
+  assert.equal(as(ROLE_USER, 'DELETE').res.statusCode, 403);
+  assert.equal(as(ROLE_MODERATOR, 'DELETE').passed, true);
+});
+
+test('protect throws for a path missing from the permission map', () => {
+  assert.throws(() => protect('/not-mapped'), /No permission defined/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { api } = require('./helpers');
+
+const { postPointTransaction } = api;
+
+// conn ปลอม: t_user_stat 1 แถว + ledger ในหน่วยความจำ
+function fakeConn(point) {
+  const stat = { stat_id: 1, user_id: 7, point };
+  const ledger = [];
+  const conn = {
+    stat,
+    ledger,
+    async execute(sql, params) {
+      if (sql.includes('FROM t_user_stat')) return [[{ ...stat }]];
+      if (sql.startsWith('INSERT INTO t_point_transaction')) {
+        const [user_id, amount, balance_after, reason, source_type, source_id, note] = params;
+        ledger.push({ transaction_id: ledger.length + 1, user_id, amount, balance_after, reason, source_type, source_id, note });
+        return [{ insertId: ledger.length }];
+      }
+      if (sql.startsWith('UPDATE t_user_stat SET point')) {
+        stat.point = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('FROM t_point_transaction')) return [ledger.filter((r) => r.transaction_id === params[0])];
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  return conn;
+}
+
+test('earning points adds a ledger row and updates the balance', async () => {
+  const conn = fakeConn(10);
+  const row = await postPointTransaction(conn, 7, { amount: 5, reason: 'quiz_passed', source_type: 'quiz', source_id: 3 });
+
+  assert.equal(row.balance_after, 15);
+  assert.equal(conn.stat.point, 15);
+  assert.equal(conn.ledger.length, 1);
+});
+
+test('spending down to zero is allowed', async () => {
+  const conn = fakeConn(10);
+  const row = await postPointTransaction(conn, 7, { amount: -10, reason: 'streak_freeze' });
+
+  assert.equal(row.balance_after, 0);
+  assert.equal(conn.stat.point, 0);
+});
+
+test('spending more than the balance writes nothing', async () => {
+  const conn = fakeConn(10);
+  const row = await postPointTransaction(conn, 7, { amount: -11, reason: 'streak_freeze' });
+
+  assert.equal(row, null);
+  assert.equal(conn.stat.point, 10);
+  assert.equal(conn.ledger.length, 0);
+});
+
+test('every balance_after equals the sum of the ledger', async () => {
+  const conn = fakeConn(0);
+  for (const amount of [5, -3, 4, -7, 2]) {
+    await postPointTransaction(conn, 7, { amount, reason: 'test' });
+  }
+  // -7 ตอนยอดเหลือ 6 ถูกปฏิเสธ
+  assert.deepEqual(conn.ledger.map((r) => r.amount), [5, -3, 4, 2]);
+  let sum = 0;
+  for (const r of conn.ledger) {
+    sum += r.amount;
+    assert.equal(r.balance_after, sum);
+  }
+  assert.equal(conn.stat.point, sum);
+});